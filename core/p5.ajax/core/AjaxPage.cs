@@ -22,8 +22,13 @@
  */
 
 using System;
+using System.IO;
+using System.Web;
 using System.Linq;
 using System.Web.UI;
+using System.Threading;
+using System.Web.Script.Serialization;
+using System.Security.Cryptography;
 using System.Configuration;
 using System.Collections.Generic;
 using System.Collections.Specialized;
@@ -43,6 +48,15 @@ namespace p5.ajax.core
     /// </summary>
     public class AjaxPage : Page
     {
+        // Key in HttpContext.Items containing the index of the event currently being processed, during a batch of Ajax events.
+        const string BatchIndexKey = ".p5.ajax.batch-index";
+
+        // Key in HttpContext.Items containing the names of the form fields changed on the server by earlier events in a batch of Ajax events.
+        const string BatchChangedKey = ".p5.ajax.batch-changed";
+
+        // Widget IDs and event names of all events in a batch of Ajax events, lazily parsed from the "_p5_batch" parameter.
+        string [] [] _batch;
+
         // Contains all changes that needs to be serialized back to client.
         // Only relevant during an Ajax request, in a normal HTTP POST/GET request, it is not in use.
         readonly OrderedDictionary _changes = new OrderedDictionary ();
@@ -65,6 +79,21 @@ namespace p5.ajax.core
         // List of new CSS files to include for the current request.
         List<string> _cssFileForCurrentRequest = new List<string> ();
 
+        // Nonce used for all script elements on page, if page is rendered for a Content-Security-Policy.
+        string _nonce;
+
+        // Whether or not page is rendered for a Content-Security-Policy, null if not explicitly set, in which case web.config decides.
+        bool? _useContentSecurityPolicy;
+
+        // Whether or not client should only post changed form fields, null if not explicitly set, in which case web.config decides.
+        bool? _useDeltaFormData;
+
+        // Whether or not "p5-debug" in the URL opens the developer panel, null if not explicitly set, in which case web.config decides.
+        bool? _allowDebugPanel;
+
+        // Form data for current request, merged with the form data previously posted, if client only posted changed fields.
+        NameValueCollection _formData;
+
         /// <summary>
         ///    Initializes a new instance of the <see cref="T:p5.ajax.core.AjaxPage"/> class.
         /// </summary>
@@ -77,13 +106,27 @@ namespace p5.ajax.core
                 if (IsAjaxRequest) {
 
                     // Rendering JSON changes back to the client, by making sure we use the correct Response filter.
-                    Response.Filter = new JsonFilter (this);
+                    // Notice, during a batch of Ajax events, JSON is rendered by our Render method instead.
+                    if (BatchIndex == -1)
+                        Response.Filter = new JsonFilter (this);
 
                 } else {
 
                     // Rendering HTML back to client, by making sure we use the correct Response filter.
                     Response.Filter = new HtmlFilter (this, _removeViewState);
 
+                    // Telling the client it may only post the form fields that changed since its previous request.
+                    if (UseDeltaFormData && Form != null)
+                        Form.Attributes ["data-p5-delta"] = "true";
+
+                    // Telling the client it may open the developer panel if the URL contains "p5-debug".
+                    if (AllowDebugPanel && Form != null)
+                        Form.Attributes ["data-p5-debug"] = "true";
+
+                    // Making sure we only allow scripts carrying our nonce, unless a policy has already been declared.
+                    if (UseContentSecurityPolicy && Response.Headers ["Content-Security-Policy"] == null)
+                        Response.Headers ["Content-Security-Policy"] = string.Format ("script-src 'nonce-{0}'; object-src 'none'; base-uri 'self'", Nonce);
+
                     // Making sure we include "manager.js", which is the main client-side parts of p5.ajax.
                     IncludeJavaScriptFile (ClientScript.GetWebResourceUrl (typeof (AjaxPage), "p5.ajax.javascript.manager.min.js"));
                 }
@@ -109,12 +152,152 @@ namespace p5.ajax.core
         /// <value>The number of valid viewstate entries for each session. Zero turns off server-side ViewState storage.</value>
         public int ViewStateSessionEntries { get; private set; }
 
+        /// <summary>
+        ///     Whether or not page is rendered such that it can be used with a strict Content-Security-Policy, 
+        ///     without 'unsafe-eval' and 'unsafe-inline'.
+        ///     If true, all script elements are rendered with a nonce, Ajax events are rendered as "data-p5-onxxx" attributes, 
+        ///     instead of inline event handlers, and manager.js will never evaluate JavaScript using eval.
+        ///     Notice, inline JavaScript event handlers you declare yourself are still rendered as is, and hence will be blocked by the browser.
+        ///     Defaults to the ".p5.webapp.use-content-security-policy" setting from web.config, but can be set for a single page in its page directive.
+        /// </summary>
+        /// <value><c>true</c> if page should be rendered for a Content-Security-Policy; otherwise, <c>false</c>.</value>
+        public bool UseContentSecurityPolicy {
+            get { return _useContentSecurityPolicy ?? bool.Parse (ConfigurationManager.AppSettings [".p5.webapp.use-content-security-policy"] ?? "false"); }
+            set { _useContentSecurityPolicy = value; }
+        }
+
+        /// <summary>
+        ///     Whether or not the client should only post the form fields that changed since its previous request.
+        ///     If true, the fields posted are merged with the fields previously posted, before widgets load their form data.
+        ///     Defaults to the ".p5.webapp.use-delta-form-data" setting from web.config, but can be set for a single page in its page directive.
+        ///     Notice, the fields previously posted are stored in the page's ViewState, hence this is always false, unless ViewState is stored 
+        ///     in the session, since storing them in a hidden field would send the entire form back and forth anyway.
+        /// </summary>
+        /// <value><c>true</c> if client should only post changed form fields; otherwise, <c>false</c>.</value>
+        public bool UseDeltaFormData {
+            get {
+                if (ViewStateSessionEntries == 0 || _useDefaultPersister)
+                    return false;
+                return _useDeltaFormData ?? bool.Parse (ConfigurationManager.AppSettings [".p5.webapp.use-delta-form-data"] ?? "false");
+            }
+            set { _useDeltaFormData = value; }
+        }
+
+        /// <summary>
+        ///     Whether or not the client opens its developer panel when the URL of the page contains "p5-debug".
+        ///     Defaults to the ".p5.webapp.allow-debug-panel" setting from web.config, but can be set for a single page in its page directive.
+        ///     Notice, the developer panel shows the form data posted to the server, hence you should not turn this on in production.
+        /// </summary>
+        /// <value><c>true</c> if "p5-debug" in the URL opens the developer panel; otherwise, <c>false</c>.</value>
+        public bool AllowDebugPanel {
+            get { return _allowDebugPanel ?? bool.Parse (ConfigurationManager.AppSettings [".p5.webapp.allow-debug-panel"] ?? "false"); }
+            set { _allowDebugPanel = value; }
+        }
+
+        /// <summary>
+        ///     Returns the form data for the current request.
+        ///     If the client only posted the fields that changed since its previous request, these are merged with the fields it previously posted.
+        ///     Widgets load their form data from here, and so should you, instead of using "Request.Form" directly.
+        /// </summary>
+        /// <value>The form data for the current request</value>
+        public NameValueCollection FormData {
+            get {
+                if (_formData != null)
+                    return _formData;
+
+                // Notice, fields changed on the server by earlier events in a batch were posted before they were changed, hence they're stale.
+                _formData = MergeFormData ();
+                if (BatchChanged.Count > 0) {
+                    _formData = new NameValueCollection (_formData);
+                    foreach (var idxName in BatchChanged)
+                        _formData.Remove (idxName);
+                }
+                return _formData;
+            }
+        }
+
+        /// <summary>
+        ///     Returns the nonce used for all script elements on page, or null if UseContentSecurityPolicy is false.
+        /// </summary>
+        /// <value>The nonce for the current request</value>
+        public string Nonce {
+            get {
+                if (!UseContentSecurityPolicy)
+                    return null;
+                if (_nonce == null) {
+                    var bytes = new byte [16];
+                    using (var rng = new RNGCryptoServiceProvider ()) {
+                        rng.GetBytes (bytes);
+                    }
+                    _nonce = Convert.ToBase64String (bytes);
+                }
+                return _nonce;
+            }
+        }
+
         /// <summary>
         ///     Returns true if this request is an Ajax request.
         /// </summary>
         /// <value><c>true</c> if this instance is an ajax request; otherwise, <c>false</c></value>
         public bool IsAjaxRequest {
-            get { return !string.IsNullOrEmpty (Page.Request.Params ["_p5_event"]); }
+            get { return !string.IsNullOrEmpty (Page.Request.Params ["_p5_event"]) || BatchIndex != -1; }
+        }
+
+        /// <summary>
+        ///     Returns the ID of the widget that raised the current Ajax event, or null if this is not an Ajax request.
+        /// </summary>
+        /// <value>The ID of the widget raising the event</value>
+        public string EventWidget {
+            get { return BatchIndex == -1 ? Page.Request.Params ["_p5_widget"] : Batch [BatchIndex] [0]; }
+        }
+
+        /// <summary>
+        ///     Returns the name of the current Ajax event, or null if this is not an Ajax request.
+        /// </summary>
+        /// <value>The name of the event</value>
+        public string EventName {
+            get { return BatchIndex == -1 ? Page.Request.Params ["_p5_event"] : Batch [BatchIndex] [1]; }
+        }
+
+        /// <summary>
+        ///     Returns the details the client posted about the DOM event raising the current Ajax event, such as "ctrlKey" or "target".
+        ///     Details are only posted for elements declaring which details to post, using a "data-p5-details" attribute.
+        /// </summary>
+        /// <value>The details of the DOM event, empty if the client did not post any</value>
+        public Dictionary<string, object> EventDetails {
+            get {
+                var details = BatchIndex == -1 ? Page.Request.Params ["_p5_details"] : null;
+                if (string.IsNullOrEmpty (details))
+                    return new Dictionary<string, object> ();
+                return new JavaScriptSerializer ().Deserialize<Dictionary<string, object>> (details);
+            }
+        }
+
+        /// <summary>
+        ///     Returns the index of the event currently being processed, if the client sent a batch of Ajax events, otherwise -1.
+        ///     Each event in a batch is processed by its own instance of the page, one after the other, with the state of the page 
+        ///     persisted in between, exactly as if they were sent as separate requests.
+        ///     Notice, form fields changed on the server by an earlier event in the batch are not loaded from the form data posted, 
+        ///     which was posted before they were changed, and batches are only accepted when ViewState is stored in the session.
+        /// </summary>
+        /// <value>The index of the current event in its batch</value>
+        public int BatchIndex {
+            get { return Context.Items [BatchIndexKey] as int? ?? -1; }
+        }
+
+        /// <summary>
+        ///     Processes the request, making sure we process each event individually, if the client sent a batch of Ajax events,
+        ///     and that heartbeats keeping the session alive are answered without processing the page at all.
+        /// </summary>
+        /// <param name="context">HTTP context of request</param>
+        public override void ProcessRequest (HttpContext context)
+        {
+            if (!string.IsNullOrEmpty (context.Request.Params ["_p5_heartbeat"]))
+                ProcessHeartbeat (context);
+            else if (!string.IsNullOrEmpty (context.Request.Params ["_p5_batch"]) && context.Items [BatchIndexKey] == null)
+                ProcessBatch (context);
+            else
+                base.ProcessRequest (context);
         }
 
         /// <summary>
@@ -139,6 +322,19 @@ namespace p5.ajax.core
             }
         }
 
+        /// <summary>
+        ///     Registers CSS stylesheet file for inclusion on your page, with Subresource Integrity, which makes the browser refuse 
+        ///     to use the file, unless its content matches the given hash.
+        /// </summary>
+        /// <param name="url">URL to stylesheet you wish to include</param>
+        /// <param name="integrity">Hash of file, such as "sha384-xxx"</param>
+        /// <param name="crossOrigin">CORS mode used to retrieve file, normally "anonymous" for files from other origins</param>
+        public void IncludeCSSFile (string url, string integrity, string crossOrigin = "anonymous")
+        {
+            Subresources [url] = new [] { integrity, crossOrigin };
+            IncludeCSSFile (url);
+        }
+
         /// <summary>
         ///     Registers JavaScript files for inclusion on your page.
         /// 
@@ -161,6 +357,19 @@ namespace p5.ajax.core
             }
         }
 
+        /// <summary>
+        ///     Registers JavaScript files for inclusion on your page, with Subresource Integrity, which makes the browser refuse 
+        ///     to evaluate the file, unless its content matches the given hash.
+        /// </summary>
+        /// <param name="url">URL to JavaScript to register</param>
+        /// <param name="integrity">Hash of file, such as "sha384-xxx"</param>
+        /// <param name="crossOrigin">CORS mode used to retrieve file, normally "anonymous" for files from other origins</param>
+        public void IncludeJavaScriptFile (string url, string integrity, string crossOrigin = "anonymous")
+        {
+            Subresources [url] = new [] { integrity, crossOrigin };
+            IncludeJavaScriptFile (url);
+        }
+
         /// <summary>
         ///     Registers inline JavaScript "inclusion" for your page.
         /// 
@@ -264,6 +473,88 @@ namespace p5.ajax.core
             }
         }
 
+        /// <summary>
+        ///     Renders the page.
+        ///     Overridden to make sure we render our changes as JSON, when we're processing one event in a batch of Ajax events.
+        /// </summary>
+        /// <param name="writer">Writer to render page into</param>
+        protected override void Render (HtmlTextWriter writer)
+        {
+            if (BatchIndex == -1) {
+                base.Render (writer);
+                return;
+            }
+
+            // Widgets register their changes as they're rendered, hence we render page into a writer we discard, before we render our changes.
+            using (var discard = new HtmlTextWriter (new StringWriter ())) {
+                base.Render (discard);
+            }
+            writer.Write (RenderChanges ());
+        }
+
+        /*
+         * Returns all changes for the current request as JSON.
+         */
+        internal string RenderChanges ()
+        {
+            // JavaScript files, with their Subresource Integrity attributes, if any.
+            if (JSInclusionsForCurrentRequest.Any ()) {
+                Changes ["__p5_js_objects"] = JSInclusionsForCurrentRequest.Select (ix => {
+                    var retVal = new Dictionary<string, object> { { "Item1", ix.Item1 }, { "Item2", ix.Item2 } };
+                    AddSubresource (retVal, ix.Item2 ? ix.Item1 : null);
+                    return retVal;
+                }).ToList ();
+            }
+
+            // Stylesheet files, as objects, if they have Subresource Integrity attributes.
+            if (CSSInclusionsForCurrentRequest.Any ()) {
+                Changes ["__p5_css_files"] = CSSInclusionsForCurrentRequest.Select (ix => {
+                    if (!Subresources.ContainsKey (ix))
+                        return (object)ix;
+                    var retVal = new Dictionary<string, object> { { "href", ix } };
+                    AddSubresource (retVal, ix);
+                    return retVal;
+                }).ToList ();
+            }
+
+            // Returning JSON.
+            return new JavaScriptSerializer ().Serialize (Changes);
+        }
+
+        /*
+         * Adds the Subresource Integrity attributes of the file with the given URL to the given object, if it has any.
+         */
+        void AddSubresource (Dictionary<string, object> obj, string url)
+        {
+            string [] attributes;
+            if (url == null || !Subresources.TryGetValue (url, out attributes))
+                return;
+            obj ["integrity"] = attributes [0];
+            obj ["crossorigin"] = attributes [1];
+        }
+
+        /*
+         * Returns the "integrity" and "crossorigin" attributes for the file with the given URL as HTML, or empty string if it has none.
+         */
+        internal string SubresourceAttributes (string url)
+        {
+            string [] attributes;
+            if (!Subresources.TryGetValue (url, out attributes))
+                return "";
+            return string.Format (" integrity=\"{0}\" crossorigin=\"{1}\"", HttpUtility.HtmlAttributeEncode (attributes [0]), HttpUtility.HtmlAttributeEncode (attributes [1]));
+        }
+
+        /*
+         * Returns the Subresource Integrity hash and CORS mode of all included files having such, keyed by their URLs.
+         */
+        Dictionary<string, string []> Subresources {
+            get {
+                if (ViewState ["__p5_subresources"] == null)
+                    ViewState ["__p5_subresources"] = new Dictionary<string, string []> ();
+                return ViewState ["__p5_subresources"] as Dictionary<string, string []>;
+            }
+        }
+
         /*
          * Contains all changes, and other objects, that needs to be pushed as JSON to client during this request.
          * Has no effect unless we're in an Ajax request.
@@ -386,6 +677,150 @@ namespace p5.ajax.core
             list.Add (widgetID);
         }
 
+        /*
+         * Remembers that the form field 'name' was changed on the server by the current event in a batch of Ajax events, 
+         * such that later events in the batch don't load the value posted for it, which was posted before it was changed.
+         */
+        internal void RegisterChangedFormData (string name)
+        {
+            if (BatchIndex != -1 && !string.IsNullOrEmpty (name))
+                BatchChanged.Add (name);
+        }
+
+        /*
+         * Returns true if the form field 'name' was changed on the server by an earlier event in the current batch of Ajax events.
+         */
+        internal bool IsStaleFormData (string name)
+        {
+            return name != null && BatchChanged.Contains (name);
+        }
+
+        /*
+         * Returns the names of the form fields changed on the server by earlier events in the current batch of Ajax events.
+         */
+        HashSet<string> BatchChanged {
+            get {
+                if (Context.Items [BatchChangedKey] == null)
+                    Context.Items [BatchChangedKey] = new HashSet<string> ();
+                return Context.Items [BatchChangedKey] as HashSet<string>;
+            }
+        }
+
+        /*
+         * Returns the form data posted, merged with the form data previously posted, if the client only posted the fields that changed.
+         */
+        NameValueCollection MergeFormData ()
+        {
+            if (!UseDeltaFormData || !IsPostBack)
+                return Request.Form;
+
+            // A post without our "_p5_delta" marker contains the entire form, otherwise the marker contains the names of all fields removed.
+            var known = ViewState ["__p5_form_data"] as Dictionary<string, string []> ?? new Dictionary<string, string []> ();
+            var delta = Request.Form ["_p5_delta"];
+            if (delta == null)
+                known.Clear ();
+            else
+                foreach (var idxName in new JavaScriptSerializer ().Deserialize<string []> (delta))
+                    known.Remove (idxName);
+
+            // Storing all fields posted, except our own internal fields, which are not a part of the form.
+            foreach (var idxName in Request.Form.AllKeys) {
+                if (idxName != null && !idxName.StartsWith ("_p5_") && !idxName.StartsWith ("__VIEWSTATE"))
+                    known [idxName] = Request.Form.GetValues (idxName);
+            }
+            ViewState ["__p5_form_data"] = known;
+
+            // Adding fields not posted, since they didn't change, to what was actually posted.
+            var retVal = new NameValueCollection (Request.Form);
+            foreach (var idxField in known) {
+                if (retVal [idxField.Key] == null) {
+                    foreach (var idxValue in idxField.Value)
+                        retVal.Add (idxField.Key, idxValue);
+                }
+            }
+            return retVal;
+        }
+
+        /*
+         * Returns the widget IDs and event names of all events in the current batch of Ajax events.
+         */
+        string [] [] Batch {
+            get { return _batch ?? (_batch = new JavaScriptSerializer ().Deserialize<string [] []> (Page.Request.Params ["_p5_batch"])); }
+        }
+
+        /*
+         * Processes a batch of Ajax events, by processing each event with a new instance of the page, in order.
+         * 
+         * Returns an object containing "__p5_batch", being a list of the changes for each event. If an event throws an exception, 
+         * its changes are replaced by a "__p5_error" object, and the rest of the events are never processed.
+         * 
+         * Notice, if ViewState is not stored in the session, each event would load the ViewState the client posted, losing the changes 
+         * of earlier events, hence we return a 456, at which point the client sends the events as separate requests.
+         */
+        void ProcessBatch (HttpContext context)
+        {
+            if (int.Parse (ConfigurationManager.AppSettings [".p5.webapp.viewstate-per-session-entries"] ?? "5") == 0) {
+                context.Response.StatusCode = 456;
+                context.Response.StatusDescription = "Batching not supported";
+                return;
+            }
+            var serializer = new JavaScriptSerializer ();
+            var batch = serializer.Deserialize<string [] []> (context.Request.Params ["_p5_batch"]);
+            var result = new List<string> ();
+            for (var idx = 0; idx < batch.Length; idx++) {
+                context.Items [BatchIndexKey] = idx;
+                using (var writer = new StringWriter ()) {
+                    try {
+
+                        // Notice, we need a new instance of our page for each event.
+                        context.Server.Execute ((IHttpHandler)Activator.CreateInstance (GetType ()), writer, true);
+                        result.Add (writer.ToString ());
+
+                    } catch (ThreadAbortException) {
+
+                        // Response was ended, e.g. because of a session timeout, which is returned as is to the client.
+                        throw;
+
+                    } catch (Exception err) {
+
+                        // Making sure we never reveal exception details, unless custom errors are turned off.
+                        var msg = context.IsCustomErrorEnabled ? "An error occurred while processing the request." : err.GetBaseException ().Message;
+                        result.Add (serializer.Serialize (new Dictionary<string, object> {
+                            {"__p5_error", new Dictionary<string, object> {
+                                {"status", 500},
+                                {"text", "Internal Server Error"},
+                                {"html", string.Format ("<h1>Server error</h1><p>{0}</p>", HttpUtility.HtmlEncode (msg))}
+                            }}
+                        }));
+                        break;
+                    }
+                }
+            }
+            context.Items.Remove (BatchIndexKey);
+            context.Items.Remove (BatchChangedKey);
+            context.Response.ContentType = "application/json";
+            context.Response.Write (string.Format ("{{\"__p5_batch\":[{0}]}}", string.Join (",", result)));
+        }
+
+        /*
+         * Answers a heartbeat from the client, which keeps the session alive simply by accessing it.
+         * 
+         * Returns the session's timeout in seconds, or a 457 session timeout, if the state of the page the client posted 
+         * as "_p5_state_key" no longer exists in the session.
+         */
+        void ProcessHeartbeat (HttpContext context)
+        {
+            Guid viewStateId;
+            var key = context.Request.Params ["_p5_state_key"];
+            if (context.Session == null || (key != null && (!Guid.TryParse (key, out viewStateId) || !StatePersister.Exists (context.Session, viewStateId)))) {
+                context.Response.StatusCode = 457;
+                context.Response.StatusDescription = "Session timeout";
+                return;
+            }
+            context.Response.ContentType = "application/json";
+            context.Response.Write (string.Format ("{{\"timeout\":{0}}}", context.Session.Timeout * 60));
+        }
+
         /*
          * Returns the JavaScript files and objects we need to push to client for each postback.
          * This is normally only used when we're having a normal postback, or initial request, using e.g. the HtmlFilter for filtering our response.
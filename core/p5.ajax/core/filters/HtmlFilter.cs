@@ -169,7 +169,7 @@ namespace p5.ajax.core.filters
 
             // Including CSS files, making sure we nicely format our inclusion HTML.
             foreach (var idxFile in Page.PersistentCSSInclusions) {
-                builder.Append (string.Format ("\r\n\t\t<link rel=\"stylesheet\" type=\"text/css\" href=\"{0}\" />", idxFile));
+                builder.Append (string.Format ("\r\n\t\t<link rel=\"stylesheet\" type=\"text/css\" href=\"{0}\"{1} />", idxFile, Page.SubresourceAttributes (idxFile)));
             }
 
             // Appending everything from <head> end, and onwards, into StringBuilder return buffer, before we return the result.
@@ -204,13 +204,13 @@ namespace p5.ajax.core.filters
             foreach (var idxFile in Page.PersistensJSFileInclusions) {
 
                 // Making sure we nicely format it, and URL encode its most usual variants.
-                builder.Append (string.Format ("\r\n\t\t<script type=\"text/javascript\" src=\"{0}\"></script>", idxFile.Replace ("&", "&amp;")));
+                builder.Append (string.Format ("\r\n\t\t<script type=\"text/javascript\" src=\"{0}\"{1}{2}></script>", idxFile.Replace ("&", "&amp;"), NonceAttribute, Page.SubresourceAttributes (idxFile)));
             }
 
             // Then including inline JavaScript inclusions, and [p5.web.send-javascript] bursts, if there are any.
             if (Page.SendScripts.Any () || Page.PersistensJSObjectInclusions.Any ()) {
 
-                builder.Append ("\r\n\t\t<script type=\"text/javascript\">\r\nwindow.onload = function() {\r\n\r\n");
+                builder.Append (string.Format ("\r\n\t\t<script type=\"text/javascript\"{0}>\r\nwindow.onload = function() {{\r\n\r\n", NonceAttribute));
 
                 // Inclusions have presedence, since they're logically almost like "JS files".
                 foreach (var idxInclusion in Page.PersistensJSObjectInclusions) {
@@ -235,5 +235,12 @@ namespace p5.ajax.core.filters
             builder.Append (endBuffer);
             return builder.ToString ();
         }
+
+        /*
+         * Returns the nonce attribute for script elements, or empty string if page is not rendered for a Content-Security-Policy.
+         */
+        string NonceAttribute {
+            get { return Page.UseContentSecurityPolicy ? string.Format (" nonce=\"{0}\"", Page.Nonce) : ""; }
+        }
     }
 }
\ No newline at end of file
@@ -21,9 +21,6 @@
  * out our website at http://gaiasoul.com for more details.
  */
 
-using System.Linq;
-using System.Web.Script.Serialization;
-
 namespace p5.ajax.core.filters
 {
     /// <summary>
@@ -47,18 +44,7 @@ namespace p5.ajax.core.filters
         /// <returns>The response returned back to client</returns>
         protected override string RenderResponse ()
         {
-            // JavaScript files.
-            if (Page.JSInclusionsForCurrentRequest.Any ()) {
-                Page.Changes ["__p5_js_objects"] = Page.JSInclusionsForCurrentRequest;
-            }
-
-            // Stylesheet files.
-            if (Page.CSSInclusionsForCurrentRequest.Any ()) {
-                Page.Changes ["__p5_css_files"] = Page.CSSInclusionsForCurrentRequest;
-            }
-
-            // Returning JSON.
-            return new JavaScriptSerializer ().Serialize (Page.Changes);
+            return Page.RenderChanges ();
         }
     }
 }
\ No newline at end of file
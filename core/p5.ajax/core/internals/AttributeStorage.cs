@@ -70,6 +70,16 @@ namespace p5.ajax.core.internals
             return GetAttributeInternal (name) != null;
         }
 
+        /// <summary>
+        ///     Determines whether any of the attributes with the specified names were changed or removed during this request.
+        /// </summary>
+        /// <returns><c>true</c> if any of the attributes were changed; otherwise, <c>false</c></returns>
+        /// <param name="names">The names of the attributes</param>
+        internal bool ChangedThisRequest (params string [] names)
+        {
+            return names.Any (ix => FindAttribute (_dynamicallyAddedThisRequest, ix) != null || FindAttribute (_dynamicallyRemovedThisRequest, ix) != null);
+        }
+
         /// <summary>
         ///     Returns the value of the attribute with the specified name.
         /// </summary>
@@ -304,7 +314,8 @@ namespace p5.ajax.core.internals
         ///     Renders the attributes to the given HtmlTextWriter.
         /// </summary>
         /// <param name="writer">Where to render the attribute names/values.</param>
-        internal void Render (HtmlTextWriter writer)
+        /// <param name="page">The Ajax page that owns the current instance</param>
+        internal void Render (HtmlTextWriter writer, AjaxPage page)
         {
             // Adding all changes we need to render.
             var lst = new List<Attribute> ();
@@ -328,8 +339,13 @@ namespace p5.ajax.core.internals
                 string value;
                 if (idx.Name.StartsWith ("on", StringComparison.InvariantCulture) && IsLegalMethodName (idx.Value)) {
 
-                    // This is an Ajax event.
-                    value = "p5.e(event)";
+                    // This is an Ajax event, which is rendered as a data attribute if we cannot use inline event handlers.
+                    if (page.UseContentSecurityPolicy) {
+                        name = "data-p5-" + name;
+                        value = null;
+                    } else {
+                        value = "p5.e(event)";
+                    }
 
                 } else {
 
@@ -352,6 +368,10 @@ namespace p5.ajax.core.internals
             // Adding up the ones that were deleted during this request.
             foreach (var idx in _dynamicallyRemovedThisRequest) {
                 page.RegisterDeletedAttribute (id, idx.Name);
+
+                // Making sure we also delete the data attribute for Ajax events, if we're rendering for a Content-Security-Policy.
+                if (page.UseContentSecurityPolicy && idx.Name.StartsWith ("on", StringComparison.InvariantCulture))
+                    page.RegisterDeletedAttribute (id, "data-p5-" + idx.Name);
             }
 
             // Adding up our changes.
@@ -361,8 +381,12 @@ namespace p5.ajax.core.internals
                 if (idx.Name.StartsWith ("_", StringComparison.InvariantCulture) || idx.Name.StartsWith (".", StringComparison.InvariantCulture))
                     continue;
 
-                // Registering change to be returned to client.
-                page.RegisterWidgetChanges (id, idx.Name, idx.Value);
+                // Registering change to be returned to client, making sure Ajax events are sent as data attributes, 
+                // if we're rendering for a Content-Security-Policy.
+                if (page.UseContentSecurityPolicy && idx.Name.StartsWith ("on", StringComparison.InvariantCulture) && idx.Value != null && IsLegalMethodName (idx.Value))
+                    page.RegisterWidgetChanges (id, "data-p5-" + idx.Name, "");
+                else
+                    page.RegisterWidgetChanges (id, idx.Name, idx.Value);
             }
         }
 
@@ -25,6 +25,7 @@ using System;
 using System.IO;
 using System.Text;
 using System.Web.UI;
+using System.Web.SessionState;
 using System.Web.UI.WebControls;
 using System.Web.UI.HtmlControls;
 using System.Collections.Generic;
@@ -108,6 +109,17 @@ namespace p5.ajax.core.internals
             return null;
         }
 
+        /// <summary>
+        ///     Returns true if the state of the page with the given ViewState ID still exists in the given session.
+        /// </summary>
+        /// <param name="session">Session to look for state in</param>
+        /// <param name="viewStateId">ViewState ID of page, as posted in "_p5_state_key"</param>
+        internal static bool Exists (HttpSessionState session, Guid viewStateId)
+        {
+            var viewState = session [SessionKey] as List<Tuple<Guid, string>>;
+            return viewState != null && viewState.Exists (ix => ix.Item1 == viewStateId);
+        }
+
         /// <summary>
         ///     Loads the state for the page from Session.
         /// </summary>
@@ -76,7 +76,32 @@
      */
     p5.e = function(e) {
         var el = p5.$(e.currentTarget);
-        el.raise('on' + e.type);
+
+        // Checking if element has trigger modifiers for event, at which point we ignore keys not matching its key filter.
+        var trg = el.el.getAttribute('data-p5-trigger-' + e.type) || el.el.getAttribute('data-p5-trigger');
+        if (trg && !p5._key(p5._trigger(trg), e)) {
+            return;
+        }
+        var opt = {};
+        if (trg) {
+            opt.trigger = trg;
+            opt.event = e;
+        }
+
+        // Checking if element declares which lane its requests should be queued in, or that they are exclusive.
+        if (el.el.hasAttribute('data-p5-lane')) {
+            opt.lane = el.el.getAttribute('data-p5-lane');
+        }
+        if (el.el.hasAttribute('data-p5-exclusive')) {
+            opt.exclusive = true;
+        }
+
+        // Posting details about the DOM event, if element or 'p5.details' declares which details to post.
+        var details = p5._details(e, el.el.getAttribute('data-p5-details-' + e.type) || el.el.getAttribute('data-p5-details'));
+        if (details) {
+            opt.parameters = {_p5_details: details};
+        }
+        el.raise('on' + e.type, opt);
         e.preventDefault();
         e.stopPropagation();
     };
@@ -116,6 +141,11 @@
          */
         outerHTML: function(v) {
             var i = this.el.id;
+            if (this._morph || p5.morph || this.el.hasAttribute('data-p5-morph')) {
+                if (p5._morphHtml(this.el, v)) {
+                    return;
+                }
+            }
             this.el.outerHTML = v;
 
             // Updating element, since previous element is now gone.
@@ -243,7 +273,9 @@
                 // Inserting HTML child element.
                 var t = document.createElement(this.el.tagName);
                 t.innerHTML = v;
-                this.el.insertBefore(t.firstChild, this.el.children[parseInt(k.substring(9), 10)]);
+                var child = t.firstChild;
+                this.el.insertBefore(child, this.el.children[parseInt(k.substring(9), 10)]);
+                p5._enter(child);
 
             } else {
 
@@ -256,106 +288,261 @@
         /*
          * Serialize all form elements.
          * 
-         * Will serialize all form elements beneath the 'this' element, and return as key/value object back to caller. 
-         * Will correctly apply HTTP and HTML standards to decide if element should be serialized or not, such as avoiding 
-         * elements that are 'disabled', or elements having no 'name' attribute, etc.
+         * Will serialize all form elements beneath the 'this' element, and return as a list of name/value pairs back to caller. 
+         * If 'this' is a form, elements outside of it associated with it through their 'form' attribute are included, while 
+         * elements inside of it associated with another form are not.
          *
-         * To support 'option' elements with commas though (,) - It will URI encode option element's values.
+         * Follows the HTML standard's algorithm for constructing the form data set, meaning elements that are 'disabled', 
+         * including elements inside of a disabled 'fieldset', elements inside of a 'datalist', elements having no 'name' 
+         * attribute, unchecked checkboxes and radio buttons, and reset, button and image inputs, are not serialized. 
+         * Submit buttons are only serialized if they are the given 'submitter'. Line breaks are normalized to CR+LF.
+         *
+         * File input elements are serialized as one item for each selected file, having the File object as its value, 
+         * or as an empty value if no files are selected.
          */
-        serialize: function() {
+        serialize: function(submitter) {
             var val = [];
-            var els = this.el.getElementsByTagName("*");
+            var form = this.el.tagName == 'FORM' ? this.el : null;
+            var els = (form ? document : this.el).querySelectorAll('input,select,textarea,button');
             for (var i = 0; i < els.length; i++) {
                 var el = els[i];
 
-                // Making sure element is not diabled, and that it has a 'name' attribute.
-                if (!el.disabled && el.name) {
-
-                    // Figuring out type of element, and serializing accordingly.
-                    switch (el.tagName) {
-                        case 'INPUT':
-
-                            // Figuring out type of input, and serialize accordingly.
-                            switch (el.type) {
-                                case "submit":
-                                    break; // Don't push submit input types.
-                                case "checkbox":
-                                case "radio":
-                                    if (el.checked) { // Only push checked items.
-                                        val.push ([el.name, encodeURIComponent (el.value)]);
-                                    }
-                                    break;
-                                default: // Defaulting to push 'value'.
-                                    val.push ([el.name, el.value]);
-                                    break;
-                            }
-                            break;
-                        case 'TEXTAREA':
-
-                            /*
-                             * Making sure we "normalize" carriage returns before we push them to server.
-                             */
-                            var value = el.value;
-                            if (value.indexOf('\r') == -1 && value.indexOf('\n') != -1) {
-                                value = value.replace('\n', '\r\n');
-                            }
-                            val.push ([el.name, value]);
-                            break;
-                        case 'SELECT':
+                // Making sure element belongs to form, is not disabled, and that it has a 'name' attribute.
+                if ((form && el.form !== form) || !el.name || p5._barred(el)) {
+                    continue;
+                }
 
-                            // Looping through all 'option' elements, to figure out which is selected.
-                            for (var i2 = 0; i2 < el.options.length; i2++) {
-                                if (el.options[i2].selected) {
+                // Figuring out type of element, and serializing accordingly.
+                switch (el.tagName) {
+                    case 'BUTTON':
+                        if (el === submitter && el.type == 'submit') { // Only push button that submitted form.
+                            val.push ([el.name, el.value]);
+                        }
+                        break;
+                    case 'INPUT':
 
-                                    // To support "," in values, we URI encode value.
-                                    val.push ([el.name, encodeURIComponent (el.options[i2].value)]);
+                        // Figuring out type of input, and serialize accordingly.
+                        switch (el.type) {
+                            case "submit":
+                                if (el === submitter) { // Only push input that submitted form.
+                                    val.push ([el.name, el.value]);
+                                }
+                                break;
+                            case "image":
+                            case "reset":
+                            case "button":
+                                break; // Never push these input types.
+                            case "checkbox":
+                            case "radio":
+                                if (el.checked) { // Only push checked items.
+                                    val.push ([el.name, el.value]);
+                                }
+                                break;
+                            case "file":
+                                if (el.files.length === 0) { // Pushing empty value, to avoid sending every form having a file input as multipart.
+                                    val.push ([el.name, '']);
                                 }
+                                for (var idxFile = 0; idxFile < el.files.length; idxFile++) { // Pushing all selected files.
+                                    val.push ([el.name, el.files[idxFile]]);
+                                }
+                                break;
+                            case "hidden":
+                                val.push ([el.name, el.name.toLowerCase() == '_charset_' ? 'UTF-8' : el.value]);
+                                break;
+                            default: // Defaulting to push 'value'.
+                                val.push ([el.name, el.value]);
+                                break;
+                        }
+                        break;
+                    case 'TEXTAREA':
+                        val.push ([el.name, el.value]);
+                        break;
+                    case 'SELECT':
+
+                        // Looping through all 'option' elements, to figure out which are selected, and not disabled, by themselves or their 'optgroup'.
+                        for (var i2 = 0; i2 < el.options.length; i2++) {
+                            var opt = el.options[i2];
+                            if (opt.selected && !opt.disabled && !(opt.parentNode.tagName == 'OPTGROUP' && opt.parentNode.disabled)) {
+                                val.push ([el.name, opt.value]);
                             }
-                            break;
-                    }
+                        }
+                        break;
+                }
+
+                // Pushing directionality of element, if it has a 'dirname' attribute.
+                if ((el.tagName == 'INPUT' || el.tagName == 'TEXTAREA') && el.getAttribute('dirname')) {
+                    val.push ([el.getAttribute('dirname'), window.getComputedStyle(el).direction == 'rtl' ? 'rtl' : 'ltr']);
+                }
+            }
+
+            // Making sure we normalize line breaks, in both names and values, before we push them to server.
+            for (var idx = 0; idx < val.length; idx++) {
+                val[idx][0] = val[idx][0].replace(/\r\n|\r|\n/g, '\r\n');
+                if (typeof val[idx][1] === 'string') {
+                    val[idx][1] = val[idx][1].replace(/\r\n|\r|\n/g, '\r\n');
                 }
             }
             return val;
         },
 
 
+        /*
+         * Replaces the page's state fields in the given serialized form data with the current values from the form, and adds 
+         * the current values of its password fields, which are never persisted.
+         *
+         * Used when replaying requests persisted by a previous instance of the page, to make sure they are raised 
+         * using the state of the page as it is now.
+         */
+        _state: function(pars) {
+            var form = this._form();
+            var cur = form.serialize();
+            var secret = p5._passwords(form.el);
+            var ret = [];
+            for (var idx = 0; idx < pars.length; idx++) {
+                if (pars[idx][0] != '_p5_state_key' && pars[idx][0] != '__VIEWSTATE') {
+                    ret.push(pars[idx]);
+                }
+            }
+            for (idx = 0; idx < cur.length; idx++) {
+                if (cur[idx][0] == '_p5_state_key' || cur[idx][0] == '__VIEWSTATE' || secret[cur[idx][0]]) {
+                    ret.push(cur[idx]);
+                }
+            }
+            return ret;
+        },
+
+
         /*
          * Sends one request to the server.
          * 
-         * Creates one HTTP Ajax request, and sends it to the server.
+         * Creates one HTTP Ajax request for the given chain item, and sends it to the server.
          */
-        _r: function(evt, opt) {
+        _r: function(cur) {
+            var evt = cur.evt;
+            var opt = cur.opt;
 
             // Finding form
             var form = this._form();
 
-            // Creating our xhr object
+            // Creating our xhr object, and storing it in chain, such that request can be aborted.
             var xhr = new XMLHttpRequest();
             xhr.open('POST', form.el.action, true);
-            xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
             var t = this;
             xhr.onreadystatechange = function() {
                 if (xhr.readyState === 4) {
-                    t._done(xhr);
+                    t._done(xhr, cur);
                 }
             };
+            cur.xhr = xhr;
+
+            // Making sure we abort request if it takes more than 'timeout' milliseconds.
+            if (opt.timeout > 0) {
+                cur.timer = setTimeout(function() {
+                    p5._abort(p5._chain.indexOf(cur), p5.status.timeout, 'Request timeout');
+                }, opt.timeout);
+            }
+
+            // Making sure we report upload progress, if caller asked for it.
+            if (opt.onprogress && xhr.upload) {
+                xhr.upload.onprogress = function(e) {
+                    opt.onprogress.apply(t, [e.loaded, e.total, evt]);
+                };
+            }
+
+            // Serializing form before we call 'onbefore', unless form was serialized while we were offline.
+            var pars = cur.pars ? cur.pars.slice() : form.serialize(this.el);
+            cur.sent = pars.slice();
+
+            // Adding files supplied as options, such as files dropped onto an element.
+            for (var idxName in opt.files) {
+                if (opt.files.hasOwnProperty(idxName)) {
+                    var files = p5._isFile(opt.files[idxName]) ? [opt.files[idxName]] : opt.files[idxName];
+                    for (var idxFile = 0; idxFile < files.length; idxFile++) {
+                        pars.push([idxName, files[idxFile]]);
+                    }
+                }
+            }
 
-            // Serializing form before we call 'onbefore'.
-            var pars = form.serialize();
+            // Adding custom parameters supplied as options, serializing objects as JSON.
+            for (var idxPar in opt.parameters) {
+                if (opt.parameters.hasOwnProperty(idxPar) && opt.parameters[idxPar] != null) {
+                    pars.push([idxPar, p5._param(opt.parameters[idxPar])]);
+                }
+            }
             opt.onbefore.apply(this, [pars, evt]);
 
-            // Sending request, making sure we pass in the widget that raised the event, and its event name.
-            // Also making sure we put our __VIEWSTATE back into business, since it was (highly likely) removed when page was rendered.
-            var body = "_p5_event=" + evt + "&_p5_widget=" + this.el.id;
-            var vs = false;
+            // Invoking 'onbefore' for all requests batched together with this request, and creating our list of events.
+            var batch = null;
+            if (cur.batch) {
+                batch = [[this.el.id, evt]];
+                for (var idxBatch = 0; idxBatch < cur.batch.length; idxBatch++) {
+                    var item = cur.batch[idxBatch];
+                    item.opt.onbefore.apply(item.el, [pars, item.evt]);
+                    batch.push([item.el.el.id, item.evt]);
+                }
+                batch = JSON.stringify(batch);
+            }
+
+            // Invoking 'request' hooks, which might add headers, change parameters, or veto request entirely.
+            var req = {el: this, evt: evt, pars: pars, headers: {}, xhr: xhr};
+            if (!p5._emit('request', req)) {
+                clearTimeout(cur.timer);
+                cur.xhr = null;
+                this._fail(cur, p5.status.veto, 'Request vetoed', '');
+                return;
+            }
+            pars = req.pars;
+            for (var idxHeader in req.headers) {
+                if (req.headers.hasOwnProperty(idxHeader)) {
+                    xhr.setRequestHeader(idxHeader, req.headers[idxHeader]);
+                }
+            }
+
+            // Posting only the fields that changed since our previous request, if server told us it merges them with what we posted before.
+            cur.delta = null;
+            if (form.el.hasAttribute('data-p5-delta')) {
+                cur.delta = {form: form.el, pars: pars};
+                pars = p5._delta(form.el._p5_last, pars, opt.parameters);
+            }
+
+            // Checking if we have files, at which point we must send request as 'multipart/form-data'.
+            var vs = false, multi = false;
             for (var idx = 0; idx < pars.length; idx++) {
-                body += "&";
-                var val = pars[idx];
-                body += val[0] + "=" + encodeURIComponent(val[1]);
-                if (val[0] == '__VIEWSTATE')
+                if (pars[idx][0] == '__VIEWSTATE')
                     vs = true;
+                if (p5._isFile(pars[idx][1]))
+                    multi = true;
+            }
+
+            // Sending request, making sure we pass in the widget that raised the event, and its event name.
+            // Also making sure we put our __VIEWSTATE back into business, since it was (highly likely) removed when page was rendered.
+            if (multi) {
+
+                // Notice, browser creates our 'Content-Type' header, since it needs to add the multipart boundary.
+                var data = new FormData();
+                if (!vs)
+                    data.append('__VIEWSTATE', '');
+                if (batch) {
+                    data.append('_p5_batch', batch);
+                } else {
+                    data.append('_p5_event', evt);
+                    data.append('_p5_widget', this.el.id);
+                }
+                for (idx = 0; idx < pars.length; idx++) {
+                    data.append(pars[idx][0], pars[idx][1]);
+                }
+                xhr.send(data);
+            } else {
+
+                xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+                var body = batch ? "_p5_batch=" + encodeURIComponent(batch) : "_p5_event=" + evt + "&_p5_widget=" + this.el.id;
+                for (idx = 0; idx < pars.length; idx++) {
+                    body += "&";
+                    var val = pars[idx];
+                    body += encodeURIComponent(val[0]) + "=" + encodeURIComponent(val[1]);
+                }
+                xhr.send(vs ? body : '__VIEWSTATE=&' + body);
             }
-            xhr.send(vs ? body : '__VIEWSTATE=&' + body);
         },
 
 
@@ -371,6 +558,13 @@
          *   onbefore:     function(pars, evt) { // do stuff just before the request is being sent},
          *   onsuccess:    function(serverReturn, evt) { // do stuff after successful return, but before the DOM is updated },
          *   onerror:      function(statusCode, statusText, responseHtml, evt) { // du stuff in case of error }
+         *   ondone:       function(serverReturn, evt) { // do stuff after DOM is updated, and all JavaScript is loaded }
+         *   timeout:      5000, // abort request if server has not responded within 5 seconds
+         *   retry:        {count: 3}, // retry request up to 3 times on network errors, and 429, 502, 503 or 504
+         *   files:        {my_files: fileList}, // upload files, such as files dropped onto an element
+         *   optimistic:   {my_counter: {innerValue: '11'}}, // changes applied immediately, rolled back if request fails
+         *   parameters:   {foo: 'bar', and_even_an_object: {x: 1, y: [2, 3]}}, // custom parameters posted with the form
+         *   onprogress:   function(loaded, total, evt) { // do stuff as files are uploaded }
          * });
          * 
          * The above example will raise the event 'onclick' on the server side widget with the id 
@@ -383,6 +577,31 @@
          * 'onsuccess' will be called when response returns, but before request is evaluated.
          * 'onerror' will be called if something goes wrong with the request.
          * Unless your 'onerror' handler returns true, then all chained requests will be stopped.
+         * 'ondone' will be called after the DOM has been updated, and all JavaScript objects have been included.
+         * 'timeout' is the number of milliseconds to wait for the server, before request is aborted, and 'onerror' 
+         * is called with a status code of 'p5.status.timeout'. Zero, which is the default, means wait forever.
+         *
+         * 'files' is an object, where each key is the name the files will be posted as, and its value either a File, 
+         * an array of Files, or a FileList. If your form contains file input elements with selected files, or you 
+         * supply 'files', the request will be sent as 'multipart/form-data', and the files can be retrieved on the 
+         * server through 'Request.Files'. 'onprogress' will be called as the request is uploaded, with the number 
+         * of bytes uploaded, and the total number of bytes to upload.
+         *
+         * 'parameters' is an object, where each key is the name of a custom parameter posted together with the form. 
+         * Strings, numbers and booleans are posted as is, Files and Blobs as files, and all other values are serialized 
+         * as JSON. Parameters with a value of null or undefined are not posted.
+         *
+         * 'optimistic' contains changes applied to the DOM immediately, in the same format as '__p5_change' returned 
+         * from the server. The changed attributes are rolled back before 'onerror' is called, or if the request is skipped. 
+         * When the request succeeds, they are kept, unless the response changes the same attributes, in which case the 
+         * server's version wins. Attributes changed by something else in the meantime are not rolled back. See 'p5._optimistic' for details.
+         *
+         * 'retry' is the retry policy of your request, which is merged with the global 'p5.retry' default policy. 
+         * You can also supply a number, which is the number of times to retry your request. 
+         * See 'p5.retry' for details.
+         *
+         * 'raise' returns a handle to your request, which can be used to abort it, by invoking its 'abort' method, 
+         * which only aborts this request. See 'p5._request' and 'p5.abortAll' for details.
          *
          * All options are optional, and may be excluded entirely.
          *
@@ -391,8 +610,15 @@
          * and other elements might change as a consequence of one request, which would change how 
          * the next request posts data to the server.
          *
+         * Requests are queued in lanes, where requests in the same lane are sent one at a time, while 
+         * requests in different lanes are sent concurrently. By default all requests are queued in 
+         * the same lane. If you give a request the 'exclusive' option, it waits for all requests raised 
+         * before it in all lanes, and all requests raised after it wait for it, which is useful for 
+         * requests that re-render the form.
+         *
          * If there are multiple requests in your chain, and an error occurs, then all other 
-         * chained requests will be removed from the chain and never posted.
+         * chained requests in the same lane will be removed from the chain and never posted. If the 
+         * failing request was exclusive, all chained requests will be removed.
          *
          * If the DOM element that originally creates a request is removed before it is executed 
          * and initiated, then the request will never be posted, but simply moved out of the queue.
@@ -403,6 +629,11 @@
          */
         raise: function (evt, opt) {
 
+            // Checking if request should be filtered or postponed according to its trigger modifiers.
+            if (opt && opt.trigger) {
+                return this._trigger(evt, opt);
+            }
+
             // Applying default options.
             opt = p5.extend({
 
@@ -414,54 +645,300 @@
                 onsuccess: function( /*serverReturn, evt*/) {},
 
                 // Invoked if an error occurs during the HTTP request, with status code, status text, server response, and event name.
-                onerror: this.onerror
+                onerror: this.onerror,
+
+                // Invoked after DOM is updated, and all JavaScript objects are included, with JSON object and event name.
+                ondone: function( /*serverReturn, evt*/) {},
+
+                // Number of milliseconds to wait for server before aborting request, zero means wait forever.
+                timeout: 0,
+
+                // If true, elements re-rendered by the server are morphed into their new HTML, instead of being replaced.
+                morph: false,
+
+                // Name of lane request is queued in, requests in different lanes are sent concurrently.
+                lane: 'default',
+
+                // If true, request waits for all requests before it, and blocks all requests after it, in all lanes.
+                exclusive: false
 
             }, opt);
 
-            // Adding to chain.
-            p5._chain.push({
+            // Merging retry policy with global default policy.
+            opt.retry = p5.extend(p5.extend({}, p5.retry), typeof opt.retry === 'number' ? {count: opt.retry} : opt.retry);
+
+            // Adding to chain, applying optimistic changes immediately.
+            var cur = {
                 evt: evt,
                 el: this,
-                opt: opt
+                opt: opt,
+                pars: opt._pars,
+                undo: opt.optimistic ? p5._optimistic(opt.optimistic) : null
+            };
+            p5._chain.push(cur);
+
+            // Linking chain item to the handle returned when request was postponed by its trigger modifiers, if it was.
+            var req = opt._req || p5._request();
+            req.cur = cur;
+
+            // Processing chain, which sends request immediately if its lane is idle.
+            p5._next();
+            return req;
+        },
+
+
+        /*
+         * Raises 'evt' according to the trigger modifiers found in the 'trigger' option, see 'p5._trigger' for details.
+         *
+         * State is kept on the DOM element for each event, such that consecutive invocations can be debounced or throttled.
+         * Requests that are filtered out, or replaced by a later request while they are postponed, are never raised.
+         * Returns a handle to the request, which cancels it if it's still postponed as it is aborted.
+         */
+        _trigger: function(evt, opt) {
+            var trg = p5._trigger(opt.trigger);
+            var req = p5._request();
+            opt = p5.extend({}, opt);
+            opt._req = req;
+            delete opt.trigger;
+            var T = this;
+            var el = this.el;
+            el._p5_trg = el._p5_trg || {};
+            var st = el._p5_trg[evt] = el._p5_trg[evt] || {delayed: []};
+            var skip = function(o) {
+                if (o && o._onskip) {
+                    o._onskip(evt);
+                }
+            };
+
+            // Invoked when it's time to actually raise the request, unless it's filtered by 'once' or 'changed'.
+            var fire = function(o) {
+                if (trg.once && st.done) {
+                    skip(o);
+                    return;
+                }
+                if (trg.changed && 'value' in el) {
+                    var last = 'last' in st ? st.last : el.defaultValue;
+                    if (el.value === last) {
+                        skip(o);
+                        return;
+                    }
+                    st.last = el.value;
+                }
+                st.done = true;
+                st.time = new Date().getTime();
+                T.raise(evt, o);
+            };
+
+            if (!p5._key(trg, opt.event)) {
+                skip(opt);
+            } else if (trg.debounce) {
+
+                // Postponing request until no new invocations have occurred for the specified amount of time.
+                skip(st.pending);
+                clearTimeout(st.timer);
+                st.pending = opt;
+                st.timer = setTimeout(function() {
+                    st.timer = null;
+                    fire(st.pending);
+                    st.pending = null;
+                }, trg.debounce);
+                req.cancel = function() {
+                    if (st.pending === opt) {
+                        clearTimeout(st.timer);
+                        st.timer = null;
+                        st.pending = null;
+                        skip(opt);
+                    }
+                };
+            } else if (trg.throttle) {
+
+                // Raising request immediately, unless it's too soon, at which point the last invocation is raised when possible.
+                var wait = (st.time || 0) + trg.throttle - new Date().getTime();
+                if (wait <= 0 && !st.timer) {
+                    fire(opt);
+                } else {
+                    skip(st.pending);
+                    st.pending = opt;
+                    st.timer = st.timer || setTimeout(function() {
+                        st.timer = null;
+                        fire(st.pending);
+                        st.pending = null;
+                    }, Math.max(0, wait));
+                    req.cancel = function() {
+                        if (st.pending === opt) {
+                            clearTimeout(st.timer);
+                            st.timer = null;
+                            st.pending = null;
+                            skip(opt);
+                        }
+                    };
+                }
+            } else if (trg.delay) {
+
+                // Postponing request for the specified amount of time.
+                var timer = setTimeout(function() {
+                    st.delayed.splice(st.delayed.indexOf(timer), 1);
+                    fire(opt);
+                }, trg.delay);
+                st.delayed.push(timer);
+                req.cancel = function() {
+                    var idx = st.delayed.indexOf(timer);
+                    if (idx !== -1) {
+                        clearTimeout(timer);
+                        st.delayed.splice(idx, 1);
+                        skip(opt);
+                    }
+                };
+            } else {
+                fire(opt);
+            }
+            return req;
+        },
+
+
+        /*
+         * Raise the given 'evt' event with the given 'options', and returns a Promise.
+         *
+         * Works exactly like 'raise', except that it returns a Promise, which is resolved with the JSON object returned 
+         * from the server, after the DOM has been updated, and all JavaScript objects have been included.
+         * If an error occurs, the Promise is rejected with an object containing 'statusCode', 'statusText', 'responseHtml' 
+         * and 'evt', which are the same arguments your 'onerror' handler would normally be given.
+         *
+         * Example;
+         *
+         * p5.$('my_id').raiseAsync('onclick').then(function(serverReturn) {
+         *   return p5.$('my_other_id').raiseAsync('onclick');
+         * }).catch(function(err) {
+         *   // do stuff in case of error, such as checking 'err.statusCode'
+         * });
+         *
+         * Notice, since the Promise is rejected, the default error window is not shown, unless you explicitly 
+         * supply your own 'onerror' handler. If you do, its return value still decides whether or not the 
+         * chain should continue. If the request is removed from the chain before it is sent, because a previous 
+         * request failed, or its DOM element was removed, the Promise is rejected with a 'statusCode' of 0.
+         */
+        raiseAsync: function (evt, opt) {
+            var T = this;
+            var req;
+            opt = opt || {};
+            var promise = new Promise(function (resolve, reject) {
+                req = T.raise(evt, p5.extend(p5.extend({}, opt), {
+
+                    // Invoking caller's 'ondone' before we resolve our Promise.
+                    ondone: function (json, evt) {
+                        if (opt.ondone) {
+                            opt.ondone.apply(this, [json, evt]);
+                        }
+                        resolve(json);
+                    },
+
+                    // Making sure we reject our Promise, and that chain is stopped, unless caller's 'onerror' returns true.
+                    onerror: function (statusCode, statusText, responseHtml, evt) {
+                        var cont = opt.onerror ? opt.onerror.apply(this, [statusCode, statusText, responseHtml, evt]) : false;
+                        reject({
+                            statusCode: statusCode,
+                            statusText: statusText,
+                            responseHtml: responseHtml,
+                            evt: evt
+                        });
+                        return cont;
+                    },
+
+                    // Invoked if request is removed from chain without ever being sent.
+                    _onskip: function (evt) {
+                        reject({
+                            statusCode: 0,
+                            statusText: 'Request was removed from chain',
+                            responseHtml: '',
+                            evt: evt
+                        });
+                    }
+                }));
             });
+            promise.abort = function() {
+                req.abort();
+            };
+            return promise;
+        },
 
-            // Processing chain, but only if there's exactly one request in chain, since otherwise chain 
-            // will continue by itself, until the whole chain is empty.
-            if (p5._chain.length === 1) {
-                p5._next();
+
+        /*
+         * Aborts all requests raised through this wrapper, including requests postponed by trigger modifiers.
+         *
+         * To abort only one request, use the handle returned from 'raise' instead. Requests that are still queued are simply removed from the chain, while a request that has already been sent 
+         * is aborted. Either way, the request's 'onerror' is called with a status code of 'p5.status.abort'.
+         * If an aborted request that was already sent has an 'onerror' handler not returning true, the rest of the chain 
+         * is stopped, exactly as if the server had returned an error. The default 'onerror' handler returns true for 
+         * aborted requests, and does not show any error window.
+         *
+         * Example;
+         *
+         * p5.$('my_id').abort();
+         */
+        abort: function () {
+
+            // Cancelling requests postponed by trigger modifiers.
+            var trg = this.el._p5_trg || {};
+            for (var idxEvt in trg) {
+                if (trg.hasOwnProperty(idxEvt)) {
+                    var st = trg[idxEvt];
+                    clearTimeout(st.timer);
+                    st.timer = null;
+                    while (st.delayed.length > 0) {
+                        clearTimeout(st.delayed.pop());
+                    }
+                    if (st.pending && st.pending._onskip) {
+                        st.pending._onskip(idxEvt);
+                    }
+                    st.pending = null;
+                }
+            }
+
+            // Iterating backwards, since we're removing requests from chain as we go.
+            for (var idx = p5._chain.length - 1; idx >= 0; idx--) {
+                if (p5._chain[idx] && p5._chain[idx].el === this) {
+                    p5._abort(idx, p5.status.abort, 'Request aborted');
+                }
             }
             return this;
         },
 
 
         /*
-         * Default error handler, shows the 'blue (yellow on windows) screen of death', in a modal window.
+         * Default error handler, shows the 'blue (yellow on windows) screen of death', using the current error renderer.
+         *
+         * See 'p5.setErrorRenderer' for details.
          */
-        onerror: function(statusCode, statusText, responseHtml) {
+        onerror: function(statusCode, statusText, responseHtml, evt) {
+
+            // Checking if request was explicitly aborted or vetoed, at which point we silently continue chain.
+            if (statusCode == p5.status.abort || statusCode == p5.status.abortAll || statusCode == p5.status.veto) {
+                return true;
+            }
+            var err = {statusCode: statusCode, statusText: statusText, el: this};
 
             // Checking if this is our "session timeout exception", which we treat specially.
             if (statusCode == 457) {
 
-                // Session timeout exception.
-                var err = document.createElement("div");
-                err.id = "__p5_error";
-                err.className = "p5-exception micro-widgets-modal";
+                // Session timeout exception, form data has already been saved by 'p5._error'.
+                err.title = p5.text.sessionTimeout;
+                err.message = p5.text.sessionTimeoutMessage;
+                err.reload = true;
 
-                err.innerHTML = "<div class='micro-widgets-modal-content'><h1>Session timeout</h1><p>You can either reload your page, at which point you'll loose any form data you have supplied. Or close this window, copy your form data, and manually reload your page.</p><div class='right'><div class='strip' style='display:inline-block;'><button style='margin-bottom:0;' onclick='window.location.replace(window.location.href);'>Reload</button><button style='margin-bottom:0;' onclick='var el=p5.$(\"__p5_error\").el;el.parentElement.removeChild(el);'>Close</button></div></div></div>";
-                var body = document.getElementsByTagName("body")[0];
-                body.appendChild(err);
+            } else if (statusCode == p5.status.timeout) {
 
-            } else {
+                // Request timeout.
+                err.title = p5.text.requestTimeout;
+                err.message = p5.text.requestTimeoutMessage;
 
-                // Creating our error window.
-                var err = document.createElement("div");
-                err.id = "__p5_error";
-                err.className = "p5-exception micro-widgets-modal";
+            } else {
 
-                err.innerHTML = "<div class='micro-widgets-modal-content'>" + responseHtml + "<div class='right'><div class='strip' style='display:inline-block;'><button style='margin-bottom:0;' onclick='var el=p5.$(\"__p5_error\").el;el.parentElement.removeChild(el);'>Close</button></div></div></div>";
-                var body = document.getElementsByTagName("body")[0];
-                body.appendChild(err);
+                // Showing the HTML returned from the server.
+                err.title = p5.text.error;
+                err.message = statusText;
+                err.html = responseHtml;
             }
+            p5._renderError(err);
         },
 
 
@@ -472,146 +949,2801 @@
          * returned from the server, before it evaluates the return value from the server, and initiates the next request in the chain, 
          * if there are any more requests in chain.
          */
-        _done: function(xhr) {
-
-            // Removing current request from chain
-            var cur = p5._chain[0];
+        _done: function(xhr, cur) {
             var opt = cur.opt;
+            clearTimeout(cur.timer);
 
             if (xhr.status >= 200 && xhr.status < 300) {
 
-                // Success, calling 'onsuccess' before response is evaluated.
-                var json = eval("(" + xhr.responseText + ")");
-                opt.onsuccess.apply(this, [json, cur.evt]);
-
-                // ORDER COUNTS!!
-
-                // Removing all removed widgets from DOM.
-                var arr = json._p5_del || [];
-                var el;
-                for (var idx = 0; idx < arr.length; idx++) {
-                    el = p5.$(arr[idx]).el;
-                    el.parentNode.removeChild(el);
-                }
-
-                // Updating all properties and attributes.
-                arr = json.__p5_change || {};
-                for (var idxEl in arr) {
-                    if (arr.hasOwnProperty(idxEl)) {
-                        el = p5.$(idxEl);
-                        var p5Change = arr[idxEl];
-                        for (var idxAtr in p5Change) {
-                            if (p5Change.hasOwnProperty(idxAtr)) {
-                                el._set(idxAtr, p5Change[idxAtr]);
-                            }
-                        }
+                // Parsing and validating response, making sure we never touch the DOM if response is malformed.
+                var json;
+                try {
+                    json = p5._parse(xhr.responseText);
+                    if (cur.batch && !json.__p5_batch) {
+                        throw "The server did not return '__p5_batch' for a batch of requests.";
                     }
+                } catch (err) {
+                    this._fail(cur, p5.status.protocol, 'Protocol error', '<h1>Protocol error</h1><p>' + err + '</p>');
+                    return;
                 }
 
-                // Inserting all stylesheet files sent from server.
-                arr = json.__p5_css_files || [];
-                for (var idxCss = 0; idxCss < arr.length; idxCss++) {
-                    el = document.createElement("link");
-                    var href = arr[idxCss];
-                    el.href = href;
-                    el.rel = "stylesheet";
-                    el.type = "text/css";
-                    var head = document.getElementsByTagName("head")[0];
-                    head.appendChild(el);
+                // Checking if this was a batch of requests, at which point each request has its own response.
+                if (cur.batch) {
+                    this._batch(xhr, cur, json);
+                    return;
                 }
 
-                // Inserting all JavaScript objects sent from server.
-                // This can be both files and JavaScript inline inclusions.
-                // After this is done, we execute the results from 'send-script'.
-                this._incScr(json.__p5_js_objects || [], json.__p5_scripts || []);
+                // Success, applying response, before processing next request.
+                this._success(xhr, cur, json);
+                p5._next();
+
+            } else if (xhr.status === 456 && cur.batch) {
+
+                // Server doesn't accept batches, since it doesn't store ViewState in the session, sending requests one at the time instead.
+                p5.batch = false;
+                p5._unbatch(cur);
+                cur.busy = false;
+                p5._next();
 
-                // Removing current request from queue
-                p5._chain.splice(0, 1);
+            } else if (xhr.status === 0 && p5._offline && !navigator.onLine) {
+
+                // Connection was lost while request was in flight, keeping request in chain until we're back online.
+                p5._unbatch(cur);
+                cur.pars = cur.pars || cur.sent;
+                cur.busy = false;
+                p5._next();
 
             } else {
 
-                var cont = opt.onerror.apply(this, [xhr.status, xhr.statusText, xhr.responseText, cur.evt]);
-                if (cont === true) {
-                    p5._chain.splice(0, 1);
-                } else {
-                    p5._chain = [];
+                // Making sure requests batched together with this request are sent again if request is retried.
+                p5._unbatch(cur);
+                if (!p5._retry(cur, xhr)) {
+                    this._fail(cur, xhr.status, xhr.statusText, xhr.responseText);
                 }
             }
+        },
+
+
+        /*
+         * Invoked when the given chain item succeeds, with the 'json' returned from the server.
+         *
+         * Invokes 'response' hooks and 'onsuccess', before applying the response, and removing the item from chain.
+         */
+        _success: function(xhr, cur, json) {
+            var opt = cur.opt;
+
+            // Optimistic changes are kept, unless the response changes the same attributes.
+            cur.undo = null;
+
+            // Server now knows about the fields we posted, hence the next request only needs to post what changed since this one.
+            if (cur.delta) {
+                cur.delta.form._p5_last = p5._group(cur.delta.pars);
+                cur.delta = null;
+            }
+            p5._emit('response', {el: this, evt: cur.evt, json: json, xhr: xhr});
+            opt.onsuccess.apply(this, [json, cur.evt]);
+
+            // Applying response, and invoking 'applied' hooks and 'ondone' when all JavaScript objects are included.
+            var T = this;
+            this._apply(json, opt.morph, function() {
+                p5._emit('applied', {el: T, evt: cur.evt, json: json});
+                opt.ondone.apply(T, [json, cur.evt]);
+            }, function(url) {
+                p5._error(cur, T, p5.status.include, "Couldn't load file; '" + url + "'", '');
+            });
+
+            // Request might have been aborted by one of our callbacks or hooks, at which point it's already removed from chain.
+            var idx = p5._chain.indexOf(cur);
+            if (idx !== -1) {
+                p5._chain.splice(idx, 1);
+            }
+        },
+
 
-            // Processing next request.
+        /*
+         * Invoked when a batch of requests, where 'cur' is the first request, returns successfully.
+         *
+         * The server returns the response of each request in order as '__p5_batch', which we apply one at the time. If one of the 
+         * requests failed, its response is an object containing '__p5_error', and the server stops processing the rest of the 
+         * requests, at which point they are either sent again, or skipped, depending upon what 'onerror' returns.
+         */
+        _batch: function(xhr, cur, json) {
+            var arr = [cur].concat(cur.batch);
+            var res = json.__p5_batch;
+            cur.batch = null;
+            for (var idx = 0; idx < arr.length; idx++) {
+                var item = arr[idx];
+                item.busy = false;
+                if (idx >= res.length || p5._chain.indexOf(item) === -1) {
+
+                    // Request was never processed by the server, or it was aborted while we were waiting for the server.
+                    continue;
+                }
+                var el = item === cur ? this : p5.$(item.el.el.id);
+                var err = res[idx].__p5_error;
+                if (err) {
+                    for (var idxRest = idx + 1; idxRest < arr.length; idxRest++) {
+                        arr[idxRest].busy = false;
+                    }
+                    el._fail(item, err.status, err.text, err.html);
+                    return;
+                }
+                el._success(xhr, item, res[idx]);
+            }
             p5._next();
         },
 
-        _incScr: function(arr, sent) {
-            if (arr.length > 0) {
-                var T = this;
-                if (arr[0]['Item2'] == true) {
-
-                    // JavaScript file.
-                    var xhr2 = new XMLHttpRequest();
-                    xhr2.open("GET", arr[0]['Item1'], true);
-                    xhr2.onload = function() {
-                        if (xhr2.readyState === 4) {
-                            if (xhr2.status === 200) {
-                                eval.call(window, xhr2.responseText);
-                                arr.splice(0, 1);
-                                T._incScr(arr, sent);
-                            } else {
-                                throw "Couldn't download JavaScript file; '" + arr[0]['Item1'] + "'";
-                            }
+
+        /*
+         * Applies the given 'json' returned from the server to the DOM, invoking 'cb' when all files are included, or 'fail' with 
+         * the URL of a file that could not be loaded.
+         *
+         * Used both for responses to requests, and for updates pushed from the server through 'p5.connect'.
+         */
+        _apply: function(json, morph, cb, fail) {
+
+            // ORDER COUNTS!!
+
+            // Remembering focus, selection and scroll positions, such that we can restore them after DOM is updated.
+            var snap = p5._snapshot(Object.keys(json.__p5_change || {}));
+
+            // Removing all removed widgets from DOM.
+            // Notice, animated widgets are removed when their leave transition is done.
+            var arr = json._p5_del || [];
+            var el;
+            for (var idx = 0; idx < arr.length; idx++) {
+                p5._leave(p5.$(arr[idx]).el);
+            }
+
+            // Updating all properties and attributes.
+            arr = json.__p5_change || {};
+            for (var idxEl in arr) {
+                if (arr.hasOwnProperty(idxEl)) {
+                    el = p5.$(idxEl);
+                    el._morph = morph;
+                    var p5Change = arr[idxEl];
+                    for (var idxAtr in p5Change) {
+                        if (p5Change.hasOwnProperty(idxAtr)) {
+                            el._set(idxAtr, p5Change[idxAtr]);
                         }
-                    };
-                    xhr2.onerror = function() {
-                        throw "Couldn't download JavaScript file; '" + arr[0]['Item1'] + "'";
-                    };
-                    xhr2.send(null);
-                } else {
+                    }
 
-                    // JavaScript object inclusion.
-                    eval.call(window, arr[0]['Item1']);
-                    arr.splice(0, 1);
-                    this._incScr(arr, sent);
+                    // Binding Ajax events rendered as data attributes, for element and its children.
+                    p5._bind(el.el);
                 }
-            } else {
+            }
+            p5._restore(snap);
+
+            // Including all stylesheet files and JavaScript objects sent from server, which can be both files and inline inclusions.
+            // After this is done, we execute the results from 'send-script', before we invoke 'cb'.
+            // Notice, updates pushed from the server are not applied before all files are included.
+            p5._including += 1;
+            p5._include(json.__p5_css_files || [], json.__p5_js_objects || [], json.__p5_scripts || [], function() {
+                p5._including -= 1;
+                cb();
+                if (p5._idle()) {
+                    p5._flush();
+                }
+            }, function(url) {
+                p5._including -= 1;
+                fail(url);
+                if (p5._idle()) {
+                    p5._flush();
+                }
+            });
+        },
 
-                // Finally, in the end, executing all the JavaScript sent from server
-                for (var idxScript = 0; idxScript < sent.length; idxScript++) {
-                    eval.call(window, sent[idxScript]);
+
+        /*
+         * Invoked when the given chain item fails.
+         *
+         * Calls 'onerror', and unless it returns true, stops the rest of its lane, or the rest of the chain if it was 
+         * exclusive, before processing next request, if any.
+         */
+        _fail: function(cur, statusCode, statusText, responseHtml) {
+            p5._unbatch(cur);
+            cur.failing = true;
+            var cont = p5._error(cur, this, statusCode, statusText, responseHtml);
+
+            // Request might have been aborted by its 'onerror' or an 'error' hook, at which point it's already removed from chain.
+            var idxCur = p5._chain.indexOf(cur);
+            if (idxCur === -1) {
+                p5._next();
+                return;
+            }
+            var rest = p5._chain.splice(idxCur);
+            var skip = [];
+            for (var idx = 1; idx < rest.length; idx++) {
+                if (cont !== true && (cur.opt.exclusive || rest[idx].opt.lane === cur.opt.lane)) {
+                    skip.push(rest[idx]);
+                } else {
+                    p5._chain.push(rest[idx]);
                 }
             }
+            p5._skip(skip);
+            p5._next();
         }
     };
 
 
     /*
-     * Holds our chain of HTTP Ajax requests.
+     * Names of the DOM event details 'p5.e' posts by default, see 'p5._details' for details.
+     *
+     * Empty by default, such that only elements with a 'data-p5-details-xxx' or 'data-p5-details' attribute post details.
+     * Notice, requests posting details are never batched, since the details are specific to one request.
      */
-    p5._chain = [];
+    p5.details = [];
 
 
     /*
-     * Initiaties the next request in chain.
+     * Returns the details about DOM event 'e' that 'p5.e' posts as '_p5_details', or null if there are no details to post.
+     *
+     * 'names' contains the names of the details separated by space, and defaults to 'p5.details'. Names are matched against
+     * the properties of the DOM event, such as 'key', 'ctrlKey', 'shiftKey', 'button', 'clientX' or 'deltaY', and properties
+     * the event does not have, or that are not strings, numbers or booleans, are ignored. In addition, 'value' is the current value 
+     * of the element the event originated from, and 'target' is the id of the innermost element with an id the event originated 
+     * from, which allows an event handler on a container to find out which of its children was clicked.
      *
-     * Requests will be initiatied in 'first in, first out' order, meaning the 0th request will be initiated before 
-     * the 1st request, and so on.
+     * Example;
+     *
+     * <table id="rows" onclick="p5.e(event)" data-p5-details="target ctrlKey">
      */
-    p5._next = function() {
+    p5._details = function(e, names) {
+        names = names ? names.split(' ') : p5.details;
+        var ret = null;
+        for (var idx = 0; idx < names.length; idx++) {
+            var name = names[idx];
+            var val;
+            if (name === 'target') {
+                var n = e.target;
+                while (n && n.nodeType === 1 && !n.id && n !== e.currentTarget) {
+                    n = n.parentNode;
+                }
+                val = n && n.id ? n.id : undefined;
+            } else if (name === 'value') {
+                val = e.target && 'value' in e.target ? e.target.value : undefined;
+            } else {
+                val = e[name];
+            }
+            var type = typeof val;
+            if (type === 'string' || type === 'number' || type === 'boolean') {
+                ret = ret || {};
+                ret[name] = val;
+            }
+        }
+        return ret;
+    };
 
-        // Checking if we have anymore HTTP requests in our chain.
-        if (p5._chain.length > 0) {
-            var cur = p5._chain[0];
 
-            // Checking if DOM element is still around, or if a previous request has removed it.
-            var el = p5.$(cur.el.el.id);
-            if (!el.el) {
+    /*
+     * Parses trigger modifiers, given either as a string, or as an object with the same names as the modifiers.
+     *
+     * Trigger modifiers are given to 'raise' as its 'trigger' option, or to 'p5.e' by adding a 'data-p5-trigger-xxx' 
+     * attribute to the element, where 'xxx' is the name of the DOM event, or a 'data-p5-trigger' attribute for all events. 
+     * The string contains modifiers separated by space, and supports the following modifiers.
+     *
+     *  - 'debounce:300ms' - Raises request when no new events have occurred for the specified amount of time.
+     *  - 'throttle:1s'    - Raises request at most once during the specified amount of time, including the last event.
+     *  - 'delay:300ms'    - Raises request after the specified amount of time.
+     *  - 'key:Enter'      - Raises request only for the specified keys, separated by comma, matched against 'event.key'.
+     *  - 'changed'        - Raises request only if the element's value has changed since last request.
+     *  - 'once'           - Raises request only once.
+     *
+     * Times can be given in milliseconds or seconds, such as '300ms', '300' or '2s', and defaults to 300ms if omitted.
+     * When the 'key' modifier is used with 'raise', the DOM event must be given as its 'event' option.
+     *
+     * Example;
+     *
+     * <input onkeyup="p5.e(event)" data-p5-trigger-keyup="debounce:500ms changed">
+     */
+    p5._trigger = function(v) {
+        if (typeof v !== 'string') {
+            return p5.extend({}, v);
+        }
+        var ret = {};
+        var arr = v.split(/\s+/);
+        for (var idx = 0; idx < arr.length; idx++) {
+            if (arr[idx] === '') {
+                continue;
+            }
+            var split = arr[idx].indexOf(':');
+            var name = split === -1 ? arr[idx] : arr[idx].substring(0, split);
+            var val = split === -1 ? null : arr[idx].substring(split + 1);
+            switch (name) {
+                case 'debounce':
+                case 'throttle':
+                case 'delay':
+                    ret[name] = p5._ms(val, arr[idx]);
+                    break;
+                case 'key':
+                    ret.key = val ? val.split(',') : [];
+                    break;
+                case 'changed':
+                case 'once':
+                    ret[name] = true;
+                    break;
+                default:
+                    throw "Unknown trigger modifier; '" + arr[idx] + "'";
+            }
+        }
+        return ret;
+    };
 
-                // Element was removed from DOM, and request cannot be initiated
-                // skipping this request, and initiating the next one instead
-                p5._chain.splice(0, 1)[0];
-                p5._next();
-            } else {
-                el._r(cur.evt, cur.opt);
+
+    /*
+     * Returns the number of milliseconds in the time span 'v', such as '300ms' or '2s', defaulting to 300 if 'v' is null.
+     */
+    p5._ms = function(v, mod) {
+        if (v === null) {
+            return 300;
+        }
+        var match = /^(\d+)(ms|s)?$/.exec(v);
+        if (!match) {
+            throw "Illegal time span in trigger modifier; '" + mod + "'";
+        }
+        return parseInt(match[1], 10) * (match[2] === 's' ? 1000 : 1);
+    };
+
+
+    /*
+     * Returns true if the DOM event 'e' matches the key filter of the parsed trigger modifiers 'trg', if any.
+     */
+    p5._key = function(trg, e) {
+        if (!trg.key) {
+            return true;
+        }
+        return !!e && [].concat(trg.key).indexOf(e.key) !== -1;
+    };
+
+
+    /*
+     * Returns the parameters from 'pars' that changed since 'last', which are the fields we previously posted, grouped by name.
+     *
+     * Files, our own internal parameters, and the custom parameters found as keys in 'keep', are always returned, and the names of all fields no longer posted are returned as JSON in '_p5_delta'.
+     * If we have never posted anything, all parameters are returned without '_p5_delta', making the server forget all fields it knows about.
+     */
+    p5._delta = function(last, pars, keep) {
+        if (!last) {
+            return pars;
+        }
+        var cur = p5._group(pars);
+        var ret = [], gone = [];
+        for (var idx = 0; idx < pars.length; idx++) {
+            var name = pars[idx][0];
+            if (!(name in cur) || (keep && keep.hasOwnProperty(name)) || !p5._same(last[name], cur[name])) {
+                ret.push(pars[idx]);
             }
         }
+        for (var idxName in last) {
+            if (!(idxName in cur)) {
+                gone.push(idxName);
+            }
+        }
+        ret.push(['_p5_delta', JSON.stringify(gone)]);
+        return ret;
+    };
+
+
+    /*
+     * Groups the values of all fields in 'pars' by their names, ignoring files and our own internal parameters.
+     */
+    p5._group = function(pars) {
+        var ret = Object.create(null);
+        for (var idx = 0; idx < pars.length; idx++) {
+            var name = pars[idx][0];
+            if (p5._isFile(pars[idx][1]) || name.indexOf('_p5_') === 0 || name.indexOf('__VIEWSTATE') === 0) {
+                continue;
+            }
+            (ret[name] = ret[name] || []).push(pars[idx][1]);
+        }
+        return ret;
+    };
+
+
+    /*
+     * Returns true if the two arrays of values 'a' and 'b' are the same.
+     */
+    p5._same = function(a, b) {
+        if (!a || !b || a.length !== b.length) {
+            return false;
+        }
+        for (var idx = 0; idx < a.length; idx++) {
+            if (a[idx] !== b[idx]) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+
+    /*
+     * Returns true if form element 'el' is barred from being serialized, because it's disabled, or inside of a 'datalist'.
+     *
+     * Elements inside of a disabled 'fieldset' are disabled too, unless they're inside of the fieldset's first 'legend'.
+     */
+    p5._barred = function(el) {
+        if (el.disabled) {
+            return true;
+        }
+        for (var prev = el, cur = el.parentNode; cur && cur.nodeType === 1; prev = cur, cur = cur.parentNode) {
+            if (cur.tagName == 'DATALIST') {
+                return true;
+            }
+            if (cur.tagName == 'FIELDSET' && cur.disabled) {
+                var legend = null;
+                for (var idx = 0; idx < cur.children.length && !legend; idx++) {
+                    if (cur.children[idx].tagName == 'LEGEND') {
+                        legend = cur.children[idx];
+                    }
+                }
+                if (prev !== legend) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    };
+
+
+    /*
+     * Holds our chain of HTTP Ajax requests.
+     */
+    p5._chain = [];
+
+
+    /*
+     * Creates the handle returned from 'raise', which can be used to abort one request.
+     *
+     * 'cur' is the chain item of the request, which is null while the request is postponed by its trigger modifiers, 
+     * and 'cancel' is a function cancelling the request while it is postponed. Aborting a request that is done does nothing.
+     *
+     * Example;
+     *
+     * var req = p5.$('my_id').raise('onclick');
+     * req.abort();
+     */
+    p5._request = function() {
+        var req = {cur: null, cancel: null};
+        req.abort = function() {
+            if (req.cancel) {
+                req.cancel();
+            }
+            var idx = p5._chain.indexOf(req.cur);
+            if (req.cur && idx !== -1) {
+                p5._abort(idx, p5.status.abort, 'Request aborted');
+            }
+        };
+        return req;
+    };
+
+
+    /*
+     * Nonce used for script elements we inject into the page.
+     *
+     * If this is set, we're in "Content-Security-Policy mode", and JavaScript sent from the server is never evaluated using 
+     * 'eval', but rather injected as script elements carrying this nonce. It is automatically set if "manager.js" itself 
+     * was included with a nonce, which is the case if '.p5.webapp.use-content-security-policy' is turned on in your web.config.
+     */
+    p5.nonce = (document.currentScript && document.currentScript.nonce) || null;
+
+
+    /*
+     * Evaluates the given JavaScript 'code', by injecting a script element carrying our nonce, or using eval, 
+     * unless page is rendered for a Content-Security-Policy.
+     */
+    p5._eval = function(code) {
+        if (!p5.nonce) {
+            eval.call(window, code);
+            return;
+        }
+        var el = document.createElement('script');
+        el.nonce = p5.nonce;
+        el.text = code;
+        var head = document.getElementsByTagName('head')[0];
+        head.appendChild(el);
+        head.removeChild(el);
+    };
+
+
+    /*
+     * Includes the stylesheet files 'css' and the JavaScript objects 'js', before evaluating the JavaScript 'sent' 
+     * from the server, and invoking 'cb'.
+     *
+     * Stylesheets are loaded concurrently, while JavaScript objects, which are either files or inline inclusions, are 
+     * included in order, since they might depend upon each other. 'sent' is evaluated when all files are loaded, including 
+     * stylesheets, since it might depend upon the layout of the page. If a file cannot be loaded, the rest of the JavaScript 
+     * is never evaluated, and 'fail' is invoked with the URL of the file, instead of 'cb'.
+     */
+    p5._include = function(css, js, sent, cb, fail) {
+        var pending = 2;
+        var failed = false;
+        var done = function() {
+            pending -= 1;
+            if (pending === 0 && !failed) {
+                for (var idx = 0; idx < sent.length; idx++) {
+                    p5._eval(sent[idx]);
+                }
+                cb();
+            }
+        };
+        var error = function(url) {
+            if (!failed) {
+                failed = true;
+                if (fail) {
+                    fail(url);
+                }
+            }
+        };
+
+        // Loading stylesheets concurrently.
+        var left = css.length + 1;
+        var loaded = function() {
+            left -= 1;
+            if (left === 0) {
+                done();
+            }
+        };
+        for (var idx = 0; idx < css.length; idx++) {
+            p5._load('link', css[idx], loaded, error);
+        }
+        loaded();
+
+        // Including JavaScript objects in order.
+        var next = function(idx) {
+            if (failed) {
+                return;
+            }
+            if (idx === js.length) {
+                done();
+            } else if (js[idx].Item2) {
+                p5._load('script', js[idx], function() {
+                    next(idx + 1);
+                }, error);
+            } else {
+                p5._eval(js[idx].Item1);
+                next(idx + 1);
+            }
+        };
+        next(0);
+    };
+
+
+    /*
+     * Files included by 'p5._load', keyed by their absolute URLs, with 'loaded' being true when they're loaded, 
+     * otherwise 'waiting' being a list of callbacks waiting for them.
+     */
+    p5._files = {};
+
+
+    /*
+     * Loads the given 'file' as a 'type' element, which is either 'script' or 'link', invoking 'cb' when it's loaded, 
+     * or 'fail' with its URL if it cannot be loaded.
+     *
+     * 'file' is either a URL, or an object with 'Item1' or 'href' being its URL, and optionally 'integrity' and 'crossorigin', 
+     * for Subresource Integrity. Files are only included once, and files already on the page, such as files included as the 
+     * page was rendered, are never included again. Files that fail are removed, such that they can be included again later.
+     */
+    p5._load = function(type, file, cb, fail) {
+        var url = typeof file === 'string' ? file : (file.href || file.Item1);
+        var a = document.createElement('a');
+        a.href = url;
+        var abs = a.href;
+        var st = p5._files[abs];
+        if (!st) {
+            if (p5._onPage(type, abs)) {
+                cb();
+                return;
+            }
+            st = p5._files[abs] = {waiting: []};
+            var el = document.createElement(type);
+            if (file.integrity) {
+                el.setAttribute('integrity', file.integrity);
+            }
+            if (file.crossorigin) {
+                el.setAttribute('crossorigin', file.crossorigin);
+            }
+            el.onload = function() {
+                st.loaded = true;
+                for (var idx = 0; idx < st.waiting.length; idx++) {
+                    st.waiting[idx][0]();
+                }
+                st.waiting = [];
+            };
+            el.onerror = function() {
+                delete p5._files[abs];
+                el.parentNode.removeChild(el);
+                for (var idx = 0; idx < st.waiting.length; idx++) {
+                    st.waiting[idx][1](url);
+                }
+            };
+            if (type === 'script') {
+                if (p5.nonce) {
+                    el.nonce = p5.nonce;
+                }
+                el.src = url;
+            } else {
+                el.rel = 'stylesheet';
+                el.type = 'text/css';
+                el.href = url;
+            }
+            document.getElementsByTagName('head')[0].appendChild(el);
+        }
+        if (st.loaded) {
+            cb();
+        } else {
+            st.waiting.push([cb, fail]);
+        }
+    };
+
+
+    /*
+     * Returns true if a 'type' element, which is either 'script' or 'link', with the absolute URL 'abs', was already on the page.
+     */
+    p5._onPage = function(type, abs) {
+        var arr = document.querySelectorAll(type === 'script' ? 'script[src]' : 'link[rel~="stylesheet"][href]');
+        for (var idx = 0; idx < arr.length; idx++) {
+            if ((type === 'script' ? arr[idx].src : arr[idx].href) === abs) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+
+    /*
+     * Binds all Ajax events rendered as 'data-p5-onxxx' attributes for element 'root' and all of its children.
+     *
+     * Such attributes are rendered instead of inline 'onxxx' event handlers when the page is rendered for a 
+     * Content-Security-Policy. Elements are only bound once for each event.
+     */
+    p5._bind = function(root) {
+        if (!root) {
+            return;
+        }
+        var els = [root].concat(Array.prototype.slice.call(root.getElementsByTagName('*')));
+        for (var idx = 0; idx < els.length; idx++) {
+            var el = els[idx];
+            for (var idxAtr = 0; idxAtr < el.attributes.length; idxAtr++) {
+                var name = el.attributes[idxAtr].name;
+                if (name.indexOf('data-p5-on') === 0) {
+                    el._p5_bound = el._p5_bound || {};
+                    var type = name.substring(10);
+                    if (!el._p5_bound[type]) {
+                        el._p5_bound[type] = true;
+                        el.addEventListener(type, p5._e);
+                    }
+                }
+            }
+        }
+    };
+
+
+    /*
+     * If true, elements re-rendered by the server are morphed into their new HTML, instead of being replaced.
+     *
+     * Can also be turned on for a single request with the 'morph' option, or for a single element, by giving it 
+     * a 'data-p5-morph' attribute.
+     */
+    p5.morph = false;
+
+
+    /*
+     * Morphs element 'el' into the given 'html', patching only what actually changed.
+     *
+     * Returns false if browser does not support template elements, or 'html' is not a single element with the same
+     * tag name as 'el', at which point caller should replace the element instead.
+     */
+    p5._morphHtml = function(el, html) {
+        var tpl = document.createElement('template');
+        if (!tpl.content) {
+            return false;
+        }
+        tpl.innerHTML = html;
+        var to = tpl.content.firstElementChild;
+        if (!to || to.nodeName !== el.nodeName) {
+            return false;
+        }
+        p5._morph(el, to);
+        return true;
+    };
+
+
+    /*
+     * Morphs node 'from' into node 'to', keeping 'from' in the DOM if possible.
+     *
+     * Nodes are kept as long as they are of the same type, which preserves focus, caret position, scroll offsets,
+     * and anything else third party libraries might have attached to them.
+     */
+    p5._morph = function(from, to) {
+        if (from.nodeType !== to.nodeType || from.nodeName !== to.nodeName) {
+            from.parentNode.replaceChild(to, from);
+            return;
+        }
+        if (from.nodeType !== 1) {
+            if (from.nodeValue !== to.nodeValue) {
+                from.nodeValue = to.nodeValue;
+            }
+            return;
+        }
+        p5._morphAtrs(from, to);
+        p5._morphKids(from, to);
+    };
+
+
+    /*
+     * Morphs attributes of element 'from' into attributes of element 'to'.
+     *
+     * Properties reflecting form state are only updated if the server actually changed the attribute, and the 
+     * 'value' of the element currently having focus is never touched, to avoid resetting the user's typing.
+     */
+    p5._morphAtrs = function(from, to) {
+        var idx, name;
+        for (idx = from.attributes.length - 1; idx >= 0; idx--) {
+            name = from.attributes[idx].name;
+            if (!to.hasAttribute(name)) {
+                from.removeAttribute(name);
+                p5._morphProp(from, name, null);
+            }
+        }
+        for (idx = 0; idx < to.attributes.length; idx++) {
+            name = to.attributes[idx].name;
+            var val = to.attributes[idx].value;
+            if (from.getAttribute(name) !== val) {
+                from.setAttribute(name, val);
+                p5._morphProp(from, name, val);
+            }
+        }
+    };
+
+
+    /*
+     * Updates the property of element 'el' reflecting attribute 'name', after its attribute was changed to 'val'.
+     */
+    p5._morphProp = function(el, name, val) {
+        switch (name) {
+            case 'value':
+                if (el !== document.activeElement) {
+                    el.value = val === null ? '' : val;
+                }
+                break;
+            case 'checked':
+            case 'selected':
+                el[name] = val !== null;
+                break;
+        }
+    };
+
+
+    /*
+     * Morphs children of element 'from' into children of element 'to'.
+     *
+     * Elements having an id are matched by id, even if they have moved, other nodes are matched by position.
+     */
+    p5._morphKids = function(from, to) {
+        var ids = {};
+        var cur;
+        for (cur = from.firstChild; cur; cur = cur.nextSibling) {
+            if (cur.id) {
+                ids[cur.id] = cur;
+            }
+        }
+        cur = from.firstChild;
+        var next = to.firstChild;
+        while (next) {
+            var node = next;
+            next = next.nextSibling;
+            var match = null;
+            if (node.id) {
+                match = ids[node.id] || null;
+                delete ids[node.id];
+            } else if (cur && !cur.id && cur.nodeName === node.nodeName) {
+                match = cur;
+            }
+            if (!match) {
+                from.insertBefore(node, cur);
+            } else {
+                if (match === cur) {
+                    cur = cur.nextSibling;
+                } else {
+                    from.insertBefore(match, cur);
+                }
+                p5._morph(match, node);
+            }
+        }
+
+        // Removing nodes that no longer exist.
+        while (cur) {
+            var old = cur;
+            cur = cur.nextSibling;
+            from.removeChild(old);
+        }
+    };
+
+
+    /*
+     * Applies the optimistic 'changes' given to 'raise', returning what's needed to roll them back.
+     *
+     * 'changes' has the same format as '__p5_change', except that elements cannot be inserted or replaced, since the 
+     * prior state of each changed attribute or property is remembered, together with its value after the change, 
+     * such that 'p5._rollback' only rolls back attributes that have not been changed by something else in the meantime.
+     */
+    p5._optimistic = function(changes) {
+        var ret = [];
+        for (var idxEl in changes) {
+            if (!changes.hasOwnProperty(idxEl)) {
+                continue;
+            }
+            var el = p5.$(idxEl);
+            if (!el.el) {
+                continue;
+            }
+            var atrs = changes[idxEl];
+            for (var idxAtr in atrs) {
+                if (!atrs.hasOwnProperty(idxAtr)) {
+                    continue;
+                }
+                if (idxAtr === 'outerHTML' || idxAtr.indexOf('__p5_add_') === 0) {
+                    throw "Optimistic changes cannot insert or replace elements; '" + idxAtr + "'";
+                }
+                var arr = [];
+                var names = idxAtr === '_p5_del' ? atrs[idxAtr] : [idxAtr];
+                for (var idx = 0; idx < names.length; idx++) {
+                    var prop = p5._optProp(el.el, names[idx]);
+                    arr.push({el: el.el, name: names[idx], prop: prop, before: p5._optGet(el.el, names[idx], prop)});
+                }
+                el._set(idxAtr, atrs[idxAtr]);
+                for (idx = 0; idx < arr.length; idx++) {
+                    arr[idx].after = p5._optGet(arr[idx].el, arr[idx].name, arr[idx].prop);
+                    ret.push(arr[idx]);
+                }
+            }
+        }
+        return ret;
+    };
+
+
+    /*
+     * Rolls back the optimistic changes of chain item 'cur', if any, in reverse order.
+     */
+    p5._rollback = function(cur) {
+        var arr = cur.undo;
+        cur.undo = null;
+        for (var idx = (arr || []).length - 1; idx >= 0; idx--) {
+            var item = arr[idx];
+            if (p5._optGet(item.el, item.name, item.prop) !== item.after) {
+
+                // Changed by something else after our optimistic change, hence we leave it alone, but if it was changed by 
+                // another optimistic change, that change must roll back to the state before ours.
+                p5._inherit(item);
+                continue;
+            }
+            if (item.prop) {
+                item.el[item.prop] = item.before;
+            } else if (item.before === null) {
+                item.el.removeAttribute(item.name);
+            } else {
+                item.el.setAttribute(item.name, item.before);
+            }
+        }
+    };
+
+
+    /*
+     * Makes the optimistic change applied on top of optimistic change 'item', if any, roll back to the state before 'item'.
+     */
+    p5._inherit = function(item) {
+        for (var idx = 0; idx < p5._chain.length; idx++) {
+            var arr = p5._chain[idx].undo || [];
+            for (var idxUndo = 0; idxUndo < arr.length; idxUndo++) {
+                var cur = arr[idxUndo];
+                if (cur.el === item.el && cur.name === item.name && cur.before === item.after) {
+                    cur.before = item.before;
+                    return;
+                }
+            }
+        }
+    };
+
+
+    /*
+     * Returns the name of the DOM property holding the optimistic change 'name' for element 'el', or null if it's an attribute.
+     */
+    p5._optProp = function(el, name) {
+        if (name === 'innerValue') {
+            return el.tagName === 'TEXTAREA' ? 'value' : 'innerHTML';
+        }
+        return name === 'value' || name === 'checked' || name === 'disabled' ? name : null;
+    };
+
+
+    /*
+     * Returns the current value of the optimistic change 'name' for element 'el', where 'prop' is its DOM property, if any.
+     */
+    p5._optGet = function(el, name, prop) {
+        return prop ? el[prop] : el.getAttribute(name);
+    };
+
+
+    /*
+     * If true, all widgets inserted into, or removed from the DOM by the server are animated, see 'p5._enter' and 'p5._leave'.
+     *
+     * You can also animate individual widgets by adding a 'data-p5-transition' attribute to the widget itself, or to its parent.
+     */
+    p5.transitions = false;
+
+
+    /*
+     * Number of removed widgets that are still waiting for their leave transition to finish.
+     *
+     * No requests are initiated before all leave transitions are done.
+     */
+    p5._leaving = 0;
+
+
+    /*
+     * Returns true if element 'el' should be animated as it's inserted into or removed from the DOM.
+     */
+    p5._animated = function(el) {
+        if (el.nodeType !== 1) {
+            return false;
+        }
+        var parent = el.parentNode;
+        return p5.transitions || el.hasAttribute('data-p5-transition') || (!!parent && parent.nodeType === 1 && parent.hasAttribute('data-p5-transition'));
+    };
+
+
+    /*
+     * Animates element 'el' which was just inserted into the DOM, if it should be animated.
+     *
+     * The element is given the 'p5-enter' class, which is removed immediately after the browser has applied its styles, 
+     * allowing you to declare the state a CSS transition starts from, in addition to the 'p5-entering' class, which is removed 
+     * when its CSS transitions and animations are done, and all 'enter' hooks are done waiting.
+     *
+     * Example;
+     *
+     * .item { transition: opacity .3s; }
+     * .item.p5-enter, .item.p5-leave { opacity: 0; }
+     */
+    p5._enter = function(el) {
+        if (!p5._animated(el)) {
+            return;
+        }
+        el.classList.add('p5-enter');
+        el.classList.add('p5-entering');
+
+        // Forcing a reflow, such that the styles of 'p5-enter' are applied before we remove it again.
+        void el.offsetWidth;
+        el.classList.remove('p5-enter');
+        p5._animate(el, 'enter', function() {
+            el.classList.remove('p5-entering');
+            if (!el.className) {
+                el.removeAttribute('class');
+            }
+        });
+    };
+
+
+    /*
+     * Removes element 'el' from the DOM, after its leave transition is done, if it should be animated.
+     *
+     * The element is given the 'p5-leave' class, and is removed when its CSS transitions and animations are done, 
+     * and all 'leave' hooks are done waiting. Its id is removed immediately, such that the server can render a new 
+     * widget with the same id while the old element is leaving.
+     */
+    p5._leave = function(el) {
+        if (!p5._animated(el)) {
+            el.parentNode.removeChild(el);
+            return;
+        }
+        el.removeAttribute('id');
+        el.classList.add('p5-leave');
+        p5._leaving += 1;
+        p5._animate(el, 'leave', function() {
+            if (el.parentNode) {
+                el.parentNode.removeChild(el);
+            }
+            p5._leaving -= 1;
+            if (p5._leaving === 0) {
+                p5._next();
+            }
+        });
+    };
+
+
+    /*
+     * Invokes 'cb' when the CSS transitions and animations of element 'el' are done, and all 'name' hooks are done waiting.
+     *
+     * Hooks are given 'el' being the 'p5.el' wrapping the element, and 'wait', which returns a function the hook must invoke 
+     * when its own animation is done, allowing you to animate elements using JavaScript.
+     */
+    p5._animate = function(el, name, cb) {
+        var pending = 1;
+        var done = function() {
+            pending -= 1;
+            if (pending === 0) {
+                cb();
+            }
+        };
+        p5._emit(name, {el: p5.$(el), wait: function() {
+            var called = false;
+            pending += 1;
+            return function() {
+                if (!called) {
+                    called = true;
+                    done();
+                }
+            };
+        }});
+
+        // Waiting for 'transitionend' or 'animationend', with a timer as a fallback, since they're not raised if nothing changed.
+        var ms = p5._duration(el);
+        if (ms === 0) {
+            done();
+            return;
+        }
+        var timer;
+        var end = function(e) {
+            if (e && e.target !== el) {
+                return;
+            }
+            clearTimeout(timer);
+            el.removeEventListener('transitionend', end);
+            el.removeEventListener('animationend', end);
+            done();
+        };
+        el.addEventListener('transitionend', end);
+        el.addEventListener('animationend', end);
+        timer = setTimeout(end, ms + 50);
+    };
+
+
+    /*
+     * Returns the number of milliseconds the longest CSS transition or animation of element 'el' lasts, including its delay.
+     */
+    p5._duration = function(el) {
+        var style = window.getComputedStyle(el);
+        var ret = 0;
+        var types = ['transition', 'animation'];
+        for (var idxType = 0; idxType < types.length; idxType++) {
+            var durations = (style[types[idxType] + 'Duration'] || '').split(',');
+            var delays = (style[types[idxType] + 'Delay'] || '').split(',');
+            for (var idx = 0; idx < durations.length; idx++) {
+                var ms = p5._secs(durations[idx]) + p5._secs(delays[idx % delays.length]);
+                ret = Math.max(ret, ms);
+            }
+        }
+        return ret;
+    };
+
+
+    /*
+     * Returns the number of milliseconds in CSS time 'v', such as '0.3s' or '300ms', or zero if 'v' is not a time.
+     */
+    p5._secs = function(v) {
+        var ret = parseFloat(v);
+        if (isNaN(ret)) {
+            return 0;
+        }
+        return /ms\s*$/.test(v) ? ret : ret * 1000;
+    };
+
+
+    /*
+     * Returns a snapshot of the currently focused element, its value and text selection, and the scroll positions of 
+     * the document, all scrolled ancestors of the focused element, and the widgets with the given 'ids' that are about 
+     * to be changed, including their scrolled descendants having an id.
+     *
+     * Elements are remembered both by reference and by id, such that they can be found again if replaced.
+     */
+    p5._snapshot = function(ids) {
+        var snap = {
+            x: window.pageXOffset,
+            y: window.pageYOffset,
+            scroll: []
+        };
+        var seen = [];
+        var scrolled = function(el) {
+            if ((el.scrollTop || el.scrollLeft) && seen.indexOf(el) === -1) {
+                seen.push(el);
+                snap.scroll.push({el: el, id: el.id, top: el.scrollTop, left: el.scrollLeft});
+            }
+        };
+        for (var idx = 0; idx < ids.length; idx++) {
+            var el = document.getElementById(ids[idx]);
+            if (el) {
+                scrolled(el);
+                var children = el.querySelectorAll('[id]');
+                for (var idxChild = 0; idxChild < children.length; idxChild++) {
+                    scrolled(children[idxChild]);
+                }
+            }
+        }
+        var act = document.activeElement;
+        if (!act || act === document.body || act === document.documentElement) {
+            return snap;
+        }
+        snap.el = act;
+        snap.id = act.id;
+        snap.value = act.value;
+        try {
+            if (typeof act.selectionStart === 'number') {
+                snap.start = act.selectionStart;
+                snap.end = act.selectionEnd;
+                snap.dir = act.selectionDirection;
+            }
+        } catch (err) {
+            // Some input types throw when accessing their selection.
+        }
+        for (var cur = act.parentElement; cur && cur !== document.body; cur = cur.parentElement) {
+            scrolled(cur);
+        }
+        return snap;
+    };
+
+
+    /*
+     * Restores a snapshot created with 'p5._snapshot', for elements that still exist.
+     */
+    p5._restore = function(snap) {
+        var find = function(el, id) {
+            if (document.documentElement.contains(el)) {
+                return el;
+            }
+            return id ? document.getElementById(id) : null;
+        };
+        for (var idx = 0; idx < snap.scroll.length; idx++) {
+            var cur = find(snap.scroll[idx].el, snap.scroll[idx].id);
+            if (cur) {
+                cur.scrollTop = snap.scroll[idx].top;
+                cur.scrollLeft = snap.scroll[idx].left;
+            }
+        }
+        if (snap.el) {
+            var el = find(snap.el, snap.id);
+
+            // Notice, changing the value of the focused element resets its selection, even though it still has focus.
+            var focus = el && el !== document.activeElement && !el.disabled;
+            if (focus) {
+                el.focus({preventScroll: true});
+            }
+            if (el && snap.start !== undefined && (focus || (el === document.activeElement && el.value !== snap.value))) {
+                try {
+                    el.setSelectionRange(snap.start, snap.end, snap.dir);
+                } catch (err) {
+                    // Element was replaced with an element not supporting selection.
+                }
+            }
+        }
+        if (window.pageXOffset !== snap.x || window.pageYOffset !== snap.y) {
+            window.scrollTo(snap.x, snap.y);
+        }
+    };
+
+
+    /*
+     * Event listener for Ajax events bound by 'p5._bind'.
+     *
+     * Makes sure the server has not removed the event, before we raise it.
+     */
+    p5._e = function(e) {
+        if (e.currentTarget.hasAttribute('data-p5-on' + e.type)) {
+            p5.e(e);
+        }
+    };
+
+
+    /*
+     * Texts used by the default error handler and error dialog, which you can change to localize your app.
+     */
+    p5.text = {
+        close: 'Close',
+        reload: 'Reload',
+        error: 'Error',
+        details: 'Error details',
+        sessionTimeout: 'Session timeout',
+        sessionTimeoutMessage: "Your session has expired. Your form data has been saved, and you will be offered to restore it after you reload your page.",
+        restore: 'Restore',
+        stay: 'Stay signed in',
+        expiringTitle: 'Your session is about to expire',
+        expiringMessage: 'You have been inactive for a while. Your session expires in {0} seconds.',
+        restoreTitle: 'Restore form data',
+        restoreMessage: 'Your session expired before your form data was saved. Do you want to restore it?',
+        requestTimeout: 'Request timeout',
+        requestTimeoutMessage: 'The server did not respond in time. Please try again.'
+    };
+
+
+    /*
+     * Replaces the function used to show errors not handled by a request's own 'onerror' callback.
+     *
+     * 'fn' is invoked with one object, containing 'statusCode', 'statusText', 'el' being the 'p5.el' raising the request, 
+     * 'title' and 'message' being plain text, in addition to 'html' being the HTML returned from the server, if any, 
+     * and 'reload' being true if the user should be offered to reload the page, such as after a session timeout.
+     * The default renderer is also given 'buttons', being a list of objects with 'text' and 'fn', for additional 
+     * buttons that close the dialog, after invoking 'fn'.
+     * Notice, 'html' is returned from the server, and must never be inserted into your page as is.
+     * Pass in null to restore the default renderer, which shows an accessible modal dialog, see 'p5._dialog'.
+     *
+     * Example;
+     *
+     * p5.setErrorRenderer(function(err) {
+     *   myToast.show(err.title, err.message);
+     * });
+     */
+    p5.setErrorRenderer = function(fn) {
+        p5._renderError = fn || p5._dialog;
+    };
+
+
+    /*
+     * Currently open error dialogs, with the topmost dialog last.
+     */
+    p5._dialogs = [];
+
+
+    /*
+     * Default error renderer, showing the given 'err' in a modal dialog, see 'p5.setErrorRenderer' for details, returning the dialog.
+     *
+     * The dialog is a 'role=dialog' element labelled by its title, which keeps focus inside of itself while open, 
+     * and is closed by its "Close" button, or by pressing Escape. Multiple errors are stacked on top of each other, 
+     * and focus returns to where it was as the dialog is closed. HTML returned from the server is shown inside of 
+     * a sandboxed iframe, where it cannot execute scripts, or access the page.
+     * Buttons are bound with 'addEventListener', to make sure they work with a strict Content-Security-Policy.
+     */
+    p5._dialog = function(err) {
+        var id = '__p5_error_' + (p5._dialogId = (p5._dialogId || 0) + 1);
+        var dlg = document.createElement('div');
+        dlg.id = id;
+        dlg.className = 'p5-exception micro-widgets-modal';
+        dlg.setAttribute('role', 'dialog');
+        dlg.setAttribute('aria-modal', 'true');
+        dlg.setAttribute('aria-labelledby', id + '_title');
+        var content = document.createElement('div');
+        content.className = 'micro-widgets-modal-content';
+        dlg.appendChild(content);
+
+        // Creating title, message, and server's HTML, never parsing any of them as HTML in the context of our page.
+        var title = document.createElement('h1');
+        title.id = id + '_title';
+        title.appendChild(document.createTextNode(err.title || p5.text.error));
+        content.appendChild(title);
+        if (err.message) {
+            var msg = document.createElement('p');
+            msg.appendChild(document.createTextNode(err.message));
+            content.appendChild(msg);
+        }
+        if (err.html) {
+            var frame = document.createElement('iframe');
+            frame.setAttribute('sandbox', '');
+            frame.setAttribute('title', p5.text.details);
+            frame.className = 'p5-exception-details';
+            frame.srcdoc = err.html;
+            content.appendChild(frame);
+        }
+
+        // Creating buttons.
+        var right = document.createElement('div');
+        right.className = 'right';
+        var strip = document.createElement('div');
+        strip.className = 'strip';
+        strip.style.display = 'inline-block';
+        right.appendChild(strip);
+        content.appendChild(right);
+        if (err.reload) {
+            p5._button(strip, p5.text.reload, function() {
+                window.location.replace(window.location.href);
+            });
+        }
+        var buttons = err.buttons || [];
+        for (var idx = 0; idx < buttons.length; idx++) {
+            p5._button(strip, buttons[idx].text, buttons[idx].fn).addEventListener('click', function() {
+                p5._closeDialog(dlg);
+            });
+        }
+        var close = p5._button(strip, p5.text.close, function() {
+            p5._closeDialog(dlg);
+        });
+
+        // Opening dialog on top of any other dialogs, remembering where focus was, such that we can return it as dialog is closed.
+        dlg._p5_focus = document.activeElement;
+        if (p5._dialogs.length === 0) {
+            document.addEventListener('keydown', p5._dialogKey, true);
+            document.addEventListener('focusin', p5._dialogFocus, true);
+        }
+        p5._dialogs.push(dlg);
+        document.body.appendChild(dlg);
+        close.focus();
+        return dlg;
+    };
+
+
+    /*
+     * Closes the given error dialog, returning focus to where it was as the dialog was opened.
+     */
+    p5._closeDialog = function(dlg) {
+        var idx = p5._dialogs.indexOf(dlg);
+        if (idx === -1) {
+            return;
+        }
+        p5._dialogs.splice(idx, 1);
+        dlg.parentNode.removeChild(dlg);
+        if (p5._dialogs.length === 0) {
+            document.removeEventListener('keydown', p5._dialogKey, true);
+            document.removeEventListener('focusin', p5._dialogFocus, true);
+        }
+        var prev = dlg._p5_focus;
+        if (idx === p5._dialogs.length && prev && prev.focus && document.contains(prev)) {
+            prev.focus();
+        }
+    };
+
+
+    /*
+     * Keyboard handler while error dialogs are open, closing the topmost dialog on Escape, and keeping Tab inside of it.
+     */
+    p5._dialogKey = function(e) {
+        var dlg = p5._dialogs[p5._dialogs.length - 1];
+        if (e.key === 'Escape' || e.key === 'Esc') {
+            e.preventDefault();
+            p5._closeDialog(dlg);
+        } else if (e.key === 'Tab') {
+            var arr = dlg.querySelectorAll('button,iframe,a[href],input,select,textarea,[tabindex]:not([tabindex="-1"])');
+            var first = arr[0];
+            var last = arr[arr.length - 1];
+            if (!dlg.contains(document.activeElement)) {
+                e.preventDefault();
+                first.focus();
+            } else if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    };
+
+
+    /*
+     * Moves focus back into the topmost error dialog, if it moves outside of it while dialogs are open.
+     */
+    p5._dialogFocus = function(e) {
+        var dlg = p5._dialogs[p5._dialogs.length - 1];
+        if (!dlg.contains(e.target)) {
+            e.stopPropagation();
+            dlg.querySelector('button').focus();
+        }
+    };
+
+
+    /*
+     * Shows errors not handled by a request's own 'onerror' callback, see 'p5.setErrorRenderer'.
+     */
+    p5._renderError = p5._dialog;
+
+
+    /*
+     * Appends a button with the given 'text' to 'parent', invoking 'fn' when clicked, and returns the button.
+     */
+    p5._button = function(parent, text, fn) {
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.style.marginBottom = '0';
+        btn.appendChild(document.createTextNode(text));
+        btn.addEventListener('click', fn);
+        parent.appendChild(btn);
+        return btn;
+    };
+
+
+    /*
+     * Status codes passed into 'onerror' when a request fails on the client side.
+     *
+     * 'timeout' is used when the server did not respond within the request's 'timeout' option, 
+     * 'abort' is used when a request is aborted through its 'abort' method, and 'abortAll' is used 
+     * when all requests are aborted through 'p5.abortAll'. 'protocol' is used when the server returns 
+     * a successful response, which is not valid JSON, or does not follow the p5.ajax protocol. 'include' is used 
+     * when a JavaScript or stylesheet file included by the response cannot be loaded, at which point the DOM is 
+     * updated, but 'ondone' is never invoked. 'veto' is used when a 'request' hook vetoes the request.
+     */
+    p5.status = {
+        timeout: 458,
+        abort: 459,
+        abortAll: 460,
+        protocol: 461,
+        include: 462,
+        veto: 463
+    };
+
+
+    /*
+     * Hooks invoked for every request, see 'p5.on' for details.
+     */
+    p5._hooks = {
+        request: [],
+        response: [],
+        applied: [],
+        error: [],
+        enter: [],
+        leave: []
+    };
+
+
+    /*
+     * Registers a hook, invoked for every request raised on the page.
+     *
+     * 'name' is one of the following, and 'fn' will be invoked with one object as its argument, containing 'el' 
+     * being the 'p5.el' raising the request, 'evt' being the name of the event, in addition to the following.
+     *
+     *  - 'request'  - Invoked just before a request is sent, after 'onbefore'. Also contains 'pars' being the serialized 
+     *                 form data, which you can change, and 'headers' being an object, where you can add HTTP headers. 
+     *                 If your hook returns false, the request is vetoed, and 'onerror' is called with 'p5.status.veto'. 
+     *                 Also contains 'xhr' being the XMLHttpRequest, which is also given to 'response' hooks.
+     *  - 'response' - Invoked before 'onsuccess', before the DOM is updated. Also contains 'json' being the parsed 
+     *                 response, and 'xhr' being the XMLHttpRequest.
+     *  - 'applied'  - Invoked before 'ondone', after the DOM is updated, and all JavaScript has been included. 
+     *                 Also contains 'json' being the parsed response.
+     *  - 'error'    - Invoked before 'onerror'. Also contains 'statusCode', 'statusText' and 'responseHtml'.
+     *
+     * In addition, the 'enter' and 'leave' hooks are invoked as animated widgets are inserted into and removed from the DOM. 
+     * They are given 'el' being the 'p5.el' wrapping the element, and 'wait', see 'p5._animate' for details. 
+     * Registering or removing a hook with any other name throws an exception.
+     *
+     * Example;
+     *
+     * p5.on('request', function(req) {
+     *   req.headers['Authorization'] = 'Bearer ' + token;
+     * });
+     */
+    p5.on = function(name, fn) {
+        p5._hook(name).push(fn);
+    };
+
+
+    /*
+     * Removes a hook previously registered with 'p5.on'.
+     */
+    p5.off = function(name, fn) {
+        var arr = p5._hook(name);
+        var idx = arr.indexOf(fn);
+        if (idx !== -1) {
+            arr.splice(idx, 1);
+        }
+    };
+
+
+    /*
+     * Returns the list of hooks registered for 'name', throwing an exception if there is no such hook.
+     */
+    p5._hook = function(name) {
+        if (!p5._hooks.hasOwnProperty(name)) {
+            throw "Unknown hook '" + name + "', valid hooks are; " + Object.keys(p5._hooks).join(', ');
+        }
+        return p5._hooks[name];
+    };
+
+
+    /*
+     * Invokes all hooks for 'name' with 'arg', returning false if any of them returned false.
+     */
+    p5._emit = function(name, arg) {
+        var ret = true;
+        var arr = p5._hook(name).slice();
+        for (var idx = 0; idx < arr.length; idx++) {
+            if (arr[idx].apply(arg.el, [arg]) === false) {
+                ret = false;
+            }
+        }
+        return ret;
+    };
+
+
+    /*
+     * Invokes 'error' hooks, and 'onerror' for the given chain item, returning the return value of 'onerror'.
+     *
+     * If the session has expired, the form data is saved before 'onerror' is invoked, such that it is saved 
+     * regardless of which 'onerror' callback is used, and also when the request was raised with 'raiseAsync'.
+     */
+    p5._error = function(cur, el, statusCode, statusText, responseHtml) {
+        p5._rollback(cur);
+        if (statusCode == 457) {
+            p5._save(el, cur.evt);
+        }
+        p5._emit('error', {el: el, evt: cur.evt, statusCode: statusCode, statusText: statusText, responseHtml: responseHtml});
+        return cur.opt.onerror.apply(el, [statusCode, statusText, responseHtml, cur.evt]);
+    };
+
+
+    /*
+     * Parses and validates the JSON returned from the server.
+     *
+     * Throws a string describing the problem if the response is not valid JSON, if any of the keys 
+     * of the p5.ajax protocol contains something unexpected, or if the response contains a key starting with 
+     * '__p5_' or '_p5_' which is not a part of the protocol. Other keys, such as objects returned with 
+     * 'SendObject' on the server, are not validated.
+     */
+    p5._parse = function(txt) {
+        var json;
+        try {
+            json = JSON.parse(txt);
+        } catch (err) {
+            throw "The server did not return valid JSON.";
+        }
+        p5._validate(json);
+        return json;
+    };
+
+
+    /*
+     * Validates the given 'json', which is either the response of a request, or one of the responses in a batch of requests.
+     */
+    p5._validate = function(json) {
+        if (!p5._isObj(json)) {
+            throw "The server did not return a JSON object.";
+        }
+        for (var key in json) {
+            if (json.hasOwnProperty(key) && /^__?p5_/.test(key) && p5._keys.indexOf(key) === -1) {
+                throw "'" + key + "' is not a part of the p5.ajax protocol.";
+            }
+        }
+        p5._validateArr(json.__p5_batch, '__p5_batch', function(v) {
+            p5._validate(v);
+            return v.__p5_error === undefined || p5._isObj(v.__p5_error);
+        });
+        p5._validateArr(json._p5_del, '_p5_del', p5._isStr);
+        p5._validateArr(json.__p5_css_files, '__p5_css_files', function(v) {
+            return p5._isStr(v) || (p5._isObj(v) && p5._isStr(v.href));
+        });
+        p5._validateArr(json.__p5_scripts, '__p5_scripts', p5._isStr);
+        p5._validateArr(json.__p5_js_objects, '__p5_js_objects', function(v) {
+            return p5._isObj(v) && p5._isStr(v.Item1) && typeof v.Item2 === 'boolean';
+        });
+
+        // Validating changes, which should be an object with one object for each widget.
+        var ch = json.__p5_change;
+        if (ch !== undefined) {
+            if (!p5._isObj(ch)) {
+                throw "'__p5_change' is not an object.";
+            }
+            for (var idxEl in ch) {
+                if (ch.hasOwnProperty(idxEl)) {
+                    var atrs = ch[idxEl];
+                    if (!p5._isObj(atrs)) {
+                        throw "'__p5_change' contains a widget which is not an object.";
+                    }
+                    for (var idxAtr in atrs) {
+                        if (atrs.hasOwnProperty(idxAtr)) {
+                            if (idxAtr === '_p5_del') {
+                                p5._validateArr(atrs[idxAtr], '__p5_change._p5_del', p5._isStr);
+                            } else if (atrs[idxAtr] !== null && typeof atrs[idxAtr] === 'object') {
+                                throw "'__p5_change' contains an attribute which is not a simple value.";
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+
+    /*
+     * Keys of the p5.ajax protocol, which are the only keys starting with '__p5_' or '_p5_' the server is allowed to return.
+     */
+    p5._keys = ['__p5_batch', '__p5_error', '__p5_change', '__p5_css_files', '__p5_js_objects', '__p5_scripts', '_p5_del'];
+
+
+    /*
+     * Throws if 'v' is neither undefined, nor an array where 'fn' returns true for all items.
+     */
+    p5._validateArr = function(v, name, fn) {
+        if (v === undefined) {
+            return;
+        }
+        if (!(v instanceof Array)) {
+            throw "'" + name + "' is not an array.";
+        }
+        for (var idx = 0; idx < v.length; idx++) {
+            if (!fn(v[idx])) {
+                throw "'" + name + "' contains an unexpected item.";
+            }
+        }
+    };
+
+
+    /*
+     * Returns true if 'v' is a string.
+     */
+    p5._isStr = function(v) {
+        return typeof v === 'string';
+    };
+
+
+    /*
+     * Returns true if 'v' is an object, and not an array or null.
+     */
+    p5._isObj = function(v) {
+        return v !== null && typeof v === 'object' && !(v instanceof Array);
+    };
+
+
+    /*
+     * Default retry policy for requests.
+     *
+     * 'count' is the maximum number of times a request will be retried, before its 'onerror' is called. 
+     * 'delay' is the number of milliseconds to wait before the first retry, which is doubled for each consecutive retry, 
+     * but never more than 'max' milliseconds. A random jitter is applied to the delay, to avoid having multiple clients 
+     * retrying at the exact same time. 'statuses' are the status codes that are considered transient, and will be retried. 
+     * If the server returns 429 with a 'Retry-After' header, this header will be used instead of the computed delay.
+     *
+     * The current request stays at the front of the chain while it is retried, which makes sure queued requests 
+     * are still sent in order. The form is serialized again, and 'onbefore' called again, for every retry.
+     *
+     * Notice, retries are turned off by default. Only turn them on if your server side event handlers can safely 
+     * be invoked more than once, since for instance a 502 might be returned after your event handler was evaluated.
+     */
+    p5.retry = {
+        count: 0,
+        delay: 500,
+        max: 30000,
+        statuses: [0, 429, 502, 503, 504]
+    };
+
+
+    /*
+     * Aborts all requests, both queued requests, and the request currently being processed by the server.
+     *
+     * The chain will be emptied, and every request's 'onerror' will be called with a status code of 'p5.status.abortAll'.
+     */
+    p5.abortAll = function() {
+        var arr = p5._chain;
+        p5._chain = [];
+        for (var idx = 0; idx < arr.length; idx++) {
+            var cur = arr[idx];
+
+            // Requests that are failing already have their 'onerror' invoked, which is probably what aborted all requests.
+            if (cur.failing) {
+                continue;
+            }
+            if (cur.xhr) {
+                p5._stop(cur);
+            }
+            p5._error(cur, cur.el, p5.status.abortAll, 'All requests aborted', '');
+        }
+        p5._persist();
+        p5._flush();
+    };
+
+
+    /*
+     * Aborts the request at index 'idx' in chain, calling its 'onerror' with the given 'status' and 'text'.
+     */
+    p5._abort = function(idx, status, text) {
+        var cur = p5._chain[idx];
+        if (cur.failing) {
+
+            // Request is failing, and its 'onerror' has already been invoked, hence we simply remove it from chain.
+            p5._chain.splice(idx, 1);
+        } else if (cur.xhr) {
+
+            // Request has been sent, making sure we stop it, and treat it as a failed request.
+            p5._stop(cur);
+            cur.el._fail(cur, status, text, '');
+        } else {
+
+            // Request is still queued, simply removing it from chain.
+            p5._chain.splice(idx, 1);
+            p5._error(cur, cur.el, status, text, '');
+            p5._persist();
+        }
+    };
+
+
+    /*
+     * Retries the given chain item, if its retry policy allows for it, returning true if request will be retried.
+     */
+    p5._retry = function(cur, xhr) {
+        var r = cur.opt.retry;
+        cur.tries = cur.tries || 0;
+        if (r.statuses.indexOf(xhr.status) === -1 || cur.tries >= r.count) {
+            return false;
+        }
+
+        // Figuring out how long to wait, using exponential backoff with jitter, unless server told us how long to wait.
+        var ms = Math.min(r.max, r.delay * Math.pow(2, cur.tries));
+        ms = ms / 2 + Math.random() * ms / 2;
+        var after = xhr.status === 429 ? xhr.getResponseHeader('Retry-After') : null;
+        if (after) {
+            ms = /^\d+$/.test(after) ? parseInt(after, 10) * 1000 : Math.max(0, Date.parse(after) - new Date().getTime()) || ms;
+        }
+
+        // Making sure we re-send request when delay is over, unless request has been aborted in the meantime.
+        cur.tries += 1;
+        cur.timer = setTimeout(function() {
+            p5._send(cur);
+        }, ms);
+        return true;
+    };
+
+
+    /*
+     * Stops the XHR request and timer of the given chain item, without invoking its '_done'.
+     */
+    p5._stop = function(cur) {
+        p5._unbatch(cur);
+        clearTimeout(cur.timer);
+        cur.xhr.onreadystatechange = null;
+        cur.xhr.abort();
+    };
+
+
+    /*
+     * Notifies all requests in 'arr' that they were removed from chain without ever being sent.
+     */
+    p5._skip = function(arr) {
+        for (var idx = 0; idx < arr.length; idx++) {
+            p5._rollback(arr[idx]);
+            if (arr[idx].opt._onskip) {
+                arr[idx].opt._onskip(arr[idx].evt);
+            }
+        }
+    };
+
+
+    /*
+     * Turns on offline mode.
+     *
+     * In offline mode, requests raised while the browser is offline are queued, together with their serialized form data, 
+     * and persisted in sessionStorage, until the connection returns, at which point they are sent in order. This is also true 
+     * for requests that fail because the connection was lost while they were being sent. If the page is reloaded before 
+     * the connection returns, the persisted requests are replayed as you invoke this function, using default options, 
+     * and the current page's state. Notice, requests are persisted for each URL, and removed as soon as they have been sent. 
+     * Password fields are never persisted, hence replayed requests post the current values of the page's password fields.
+     *
+     * As usual, requests whose DOM element no longer exists as they are about to be sent, are skipped.
+     */
+    p5.enableOffline = function() {
+        if (p5._offline) {
+            return;
+        }
+        p5._offline = true;
+
+        // Making sure we continue our chain when connection returns.
+        window.addEventListener('online', function() {
+            if (p5._waiting) {
+                p5._waiting = false;
+                p5._next();
+            }
+        });
+
+        // Replaying requests that were persisted before page was reloaded.
+        var key = p5._offlineKey();
+        var arr = JSON.parse(sessionStorage.getItem(key) || '[]');
+        sessionStorage.removeItem(key);
+        for (var idx = 0; idx < arr.length; idx++) {
+            var el = p5.$(arr[idx].id);
+            if (el.el) {
+                el.raise(arr[idx].evt, {
+                    _pars: el._state(arr[idx].pars),
+                    parameters: arr[idx].parameters,
+                    lane: arr[idx].lane || 'default',
+                    exclusive: !!arr[idx].exclusive
+                });
+            }
+        }
+    };
+
+
+    /*
+     * Persists all queued requests in sessionStorage, if we're in offline mode, removing them when the chain is empty.
+     */
+    p5._persist = function() {
+        if (!p5._offline) {
+            return;
+        }
+        var arr = [];
+        for (var idx = 0; idx < p5._chain.length; idx++) {
+            var cur = p5._chain[idx];
+
+            // Requests whose DOM element has been removed are skipped as they are sent, hence there's no reason to persist them.
+            if (!cur.el.el || !p5.$(cur.el.el.id).el) {
+                continue;
+            }
+
+            // If we're offline, we serialize the form of requests that were queued before the connection was lost.
+            if (!cur.pars && !navigator.onLine) {
+                cur.pars = cur.el._form().serialize(cur.el.el);
+            }
+            if (cur.pars && !p5._hasFiles(cur.pars)) {
+                arr.push({
+                    id: cur.el.el.id,
+                    evt: cur.evt,
+                    pars: p5._public(cur.el._form().el, cur.pars),
+                    parameters: cur.opt.parameters,
+                    lane: cur.opt.lane,
+                    exclusive: cur.opt.exclusive
+                });
+            }
+        }
+        try {
+            if (arr.length > 0) {
+                sessionStorage.setItem(p5._offlineKey(), JSON.stringify(arr));
+            } else {
+                sessionStorage.removeItem(p5._offlineKey());
+            }
+        } catch (err) {
+
+            // Storage is full, or not available, request will still be sent if the page is not reloaded.
+        }
+    };
+
+
+    /*
+     * Returns true if 'v' is a File or Blob, which must be sent as 'multipart/form-data'.
+     */
+    p5._isFile = function(v) {
+        return typeof Blob !== 'undefined' && v instanceof Blob;
+    };
+
+
+    /*
+     * Returns the value of custom parameter 'v' as posted, which is its JSON representation, unless it's a string, number, boolean or file.
+     */
+    p5._param = function(v) {
+        var type = typeof v;
+        if (type === 'string' || type === 'number' || type === 'boolean') {
+            return String(v);
+        }
+        return p5._isFile(v) ? v : JSON.stringify(v);
+    };
+
+
+    /*
+     * Returns true if any of the values in the given serialized form data is a file.
+     *
+     * Files cannot be persisted in sessionStorage, hence such requests are only kept in memory while we're offline.
+     */
+    p5._hasFiles = function(pars) {
+        for (var idx = 0; idx < pars.length; idx++) {
+            if (p5._isFile(pars[idx][1])) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+
+    /*
+     * Returns an object having the names of all password fields belonging to 'form' as its keys.
+     */
+    p5._passwords = function(form) {
+        var ret = {};
+        var els = document.querySelectorAll('input[type=password]');
+        for (var idx = 0; idx < els.length; idx++) {
+            if (els[idx].form === form && els[idx].name) {
+                ret[els[idx].name] = true;
+            }
+        }
+        return ret;
+    };
+
+
+    /*
+     * Returns the given serialized form data of 'form' without its password fields, such that it can be stored or shown.
+     */
+    p5._public = function(form, pars) {
+        var secret = p5._passwords(form);
+        var ret = [];
+        for (var idx = 0; idx < pars.length; idx++) {
+            if (!secret[pars[idx][0]]) {
+                ret.push(pars[idx]);
+            }
+        }
+        return ret;
+    };
+
+
+    /*
+     * Returns the sessionStorage key for offline requests for current page.
+     */
+    p5._offlineKey = function() {
+        return 'p5.offline:' + location.pathname + location.search;
+    };
+
+
+    /*
+     * Starts a heartbeat, keeping the session of the page alive while the user is active, and warning the user before it expires.
+     *
+     * While the user is active, the server is pinged at most once every 'interval' milliseconds, which keeps the session alive, 
+     * and returns its timeout. When the user is idle, a dialog with a countdown is shown 'warn' milliseconds before the session 
+     * expires, allowing the user to stay signed in. If the session expires, the form data is saved, and the user is offered to 
+     * reload the page, exactly as if a request failed because of a session timeout.
+     *
+     * Pings are sent directly to the server, and never queued in the chain, hence they never delay requests. Requests 
+     * returned from the server keep the session alive too, and are taken into account. Returns an object with a 'stop' function.
+     *
+     * Example;
+     *
+     * p5.heartbeat({interval: 60000, warn: 120000});
+     */
+    p5.heartbeat = function(opt) {
+        opt = p5.extend({interval: 60000, warn: 60000}, opt);
+        var st = {contact: 0, active: new Date().getTime(), timeout: 0};
+        var activity = function() {
+            st.active = new Date().getTime();
+        };
+        var contact = function() {
+            st.contact = new Date().getTime();
+        };
+        var events = ['mousedown', 'keydown', 'touchstart', 'scroll'];
+        var stop = function() {
+            clearInterval(st.timer);
+            p5.off('response', contact);
+            for (var idx = 0; idx < events.length; idx++) {
+                document.removeEventListener(events[idx], activity, true);
+            }
+            if (st.dlg) {
+                p5._closeDialog(st.dlg);
+                st.dlg = null;
+            }
+        };
+
+        // Stops heartbeat, saving form data, and showing the session timeout error.
+        var expire = function() {
+            stop();
+            var el = p5.$(p5._heartbeatForm() || document.body);
+            p5._save(el);
+            el.onerror(457, 'Session timeout', '');
+        };
+
+        // Pings server, stopping heartbeat, and treating it as a session timeout, if the state of the page no longer exists.
+        var ping = function() {
+            contact();
+            if (st.dlg) {
+                p5._closeDialog(st.dlg);
+                st.dlg = null;
+            }
+            p5._ping(function(timeout) {
+                st.timeout = timeout * 1000;
+            }, expire);
+        };
+
+        // Invoked every second, pinging server if user has been active, or warning user if session is about to expire.
+        var tick = function() {
+            var now = new Date().getTime();
+            if (st.active > st.contact && now - st.contact >= opt.interval) {
+                ping();
+                return;
+            }
+            var left = st.contact + st.timeout - now;
+            if (st.timeout === 0 || left > opt.warn) {
+                return;
+            }
+            if (left <= 0) {
+                expire();
+                return;
+            }
+            // Notice, if user closed the warning, it's not shown again before we've been in contact with the server.
+            var msg = p5.text.expiringMessage.replace('{0}', Math.ceil(left / 1000));
+            if (!st.dlg) {
+                st.dlg = p5._dialog({
+                    title: p5.text.expiringTitle,
+                    message: msg,
+                    buttons: [{text: p5.text.stay, fn: function() {
+                        activity();
+                        ping();
+                    }}]
+                });
+            } else if (st.dlg.parentNode) {
+                st.dlg.querySelector('p').firstChild.nodeValue = msg;
+            }
+        };
+        p5.on('response', contact);
+        for (var idx = 0; idx < events.length; idx++) {
+            document.addEventListener(events[idx], activity, true);
+        }
+        st.timer = setInterval(tick, 1000);
+        ping();
+        return {stop: stop};
+    };
+
+
+    /*
+     * Returns the form containing the page's '_p5_state_key', or the first form on the page if there is none.
+     */
+    p5._heartbeatForm = function() {
+        var key = document.getElementsByName('_p5_state_key')[0];
+        return key && key.form ? key.form : document.forms[0];
+    };
+
+
+    /*
+     * Sends a heartbeat to the server, invoking 'onsuccess' with the session timeout in seconds, or 'onexpired' 
+     * if the state of the page no longer exists. Network errors are ignored, since the next ping will be sent anyway.
+     */
+    p5._ping = function(onsuccess, onexpired) {
+        var form = p5._heartbeatForm();
+        var key = document.getElementsByName('_p5_state_key')[0];
+        var xhr = new XMLHttpRequest();
+        xhr.open('POST', form ? form.action : location.href, true);
+        xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+        xhr.onreadystatechange = function() {
+            if (xhr.readyState !== 4) {
+                return;
+            }
+            if (xhr.status === 457) {
+                onexpired();
+            } else if (xhr.status >= 200 && xhr.status < 300) {
+                try {
+                    onsuccess(JSON.parse(xhr.responseText).timeout);
+                } catch (err) {
+
+                    // Not a heartbeat response, ignoring it.
+                }
+            }
+        };
+        xhr.send('_p5_heartbeat=1' + (key ? '&_p5_state_key=' + encodeURIComponent(key.value) : ''));
+    };
+
+
+    /*
+     * Opens the developer panel, showing the Ajax traffic of the page, which is also opened if the URL contains 'p5-debug', 
+     * and the server allows it, by rendering a 'data-p5-debug' attribute on the form.
+     *
+     * The panel lists the most recent requests, with the widget id and name of each event raised, the parameters posted, 
+     * how long the server took to respond, and how long it took before the DOM was updated. The values of password fields are masked. For each request, the changes 
+     * returned for each widget are shown, as well as removed widgets. In addition, it lists the JavaScript files and stylesheets 
+     * on the page, and the requests currently in the chain. Clicking a widget id highlights its element. Returns an object 
+     * with a 'close' function, and opening the panel while it's already open returns the existing panel.
+     *
+     * Example;
+     *
+     * p5.debug();
+     */
+    p5.debug = function() {
+        if (p5._debug) {
+            return p5._debug;
+        }
+        var st = {reqs: []};
+        var now = function() {
+            return new Date().getTime();
+        };
+
+        // Returns the event raised on 'el' named 'evt', that doesn't have 'prop' yet, in the oldest request having such an event.
+        var find = function(el, evt, prop) {
+            for (var idx = 0; idx < st.reqs.length; idx++) {
+                var evts = st.reqs[idx].evts;
+                for (var idxEvt = 0; idxEvt < evts.length; idxEvt++) {
+                    if (evts[idxEvt].el === el.el && evts[idxEvt].evt === evt && evts[idxEvt][prop] === undefined) {
+                        return evts[idxEvt];
+                    }
+                }
+            }
+            return null;
+        };
+        var hooks = {
+            request: function(req) {
+                st.reqs.push({
+                    xhr: req.xhr,
+                    start: now(),
+                    evts: [{el: req.el.el, id: req.el.el.id, evt: req.evt}],
+                    pars: p5._debugPars(req.pars, req.el._form().el),
+                    changes: {},
+                    del: [],
+                    files: []
+                });
+                if (st.reqs.length > 50) {
+                    st.reqs.shift();
+                }
+                render();
+            },
+            response: function(res) {
+                var cur = null;
+                for (var idx = 0; idx < st.reqs.length; idx++) {
+                    if (st.reqs[idx].xhr === res.xhr) {
+                        cur = st.reqs[idx];
+                    }
+                }
+                if (!cur) {
+                    return;
+                }
+
+                // Requests batched together with the request that was raised are answered with the same XMLHttpRequest.
+                var evt = cur.evts[0];
+                if (evt.response !== undefined) {
+                    evt = {el: res.el.el, id: res.el.el.id, evt: res.evt};
+                    cur.evts.push(evt);
+                }
+                evt.response = now() - cur.start;
+                p5.extend(cur.changes, res.json.__p5_change || {});
+                cur.del = cur.del.concat(res.json._p5_del || []);
+                cur.files = cur.files.concat(res.json.__p5_css_files || [], res.json.__p5_js_objects || []);
+                render();
+            },
+            applied: function(res) {
+                var evt = find(res.el, res.evt, 'applied');
+                if (evt) {
+                    evt.applied = now();
+                    render();
+                }
+            },
+            error: function(err) {
+                var evt = find(err.el, err.evt, 'error');
+                if (evt) {
+                    evt.error = err.statusCode + ' ' + err.statusText;
+                    render();
+                }
+            }
+        };
+
+        // Creating panel, which is rendered again every time something happens, and when the state of the chain changes.
+        var panel = document.createElement('div');
+        panel.id = '__p5_debug';
+        panel.className = 'p5-debug';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', 'p5.ajax');
+        panel.style.cssText = 'position:fixed;right:0;bottom:0;width:420px;max-width:100%;max-height:50%;overflow:auto;' + 
+            'z-index:2147483647;background:#fff;color:#000;border:1px solid #888;font:12px monospace;padding:5px;';
+        var render = function() {
+            var content = document.createElement('div');
+            p5._debugEl(content, 'h2', 'p5.ajax');
+            p5._button(content, p5.text.close, close);
+            p5._debugReqs(content, st.reqs);
+            p5._debugFiles(content);
+            p5._debugChain(content);
+            if (panel.firstChild) {
+                panel.replaceChild(content, panel.firstChild);
+            } else {
+                panel.appendChild(content);
+            }
+        };
+        var close = function() {
+            clearInterval(st.timer);
+            for (var idx in hooks) {
+                if (hooks.hasOwnProperty(idx)) {
+                    p5.off(idx, hooks[idx]);
+                }
+            }
+            if (panel.parentNode) {
+                panel.parentNode.removeChild(panel);
+            }
+            p5._debug = null;
+        };
+        for (var idx in hooks) {
+            if (hooks.hasOwnProperty(idx)) {
+                p5.on(idx, hooks[idx]);
+            }
+        }
+        render();
+        document.body.appendChild(panel);
+        st.timer = setInterval(function() {
+            var chain = p5._debugState();
+            if (chain !== st.chain) {
+                st.chain = chain;
+                render();
+            }
+        }, 500);
+        p5._debug = {close: close};
+        return p5._debug;
+    };
+
+
+    /*
+     * The developer panel, if it's open, see 'p5.debug'.
+     */
+    p5._debug = null;
+
+
+    /*
+     * Returns the given parameters as a list of strings, truncating long values, and skipping the ViewState, which is useless when debugging.
+     *
+     * The values of the password fields of 'form' are masked, such that they're never shown on screen.
+     */
+    p5._debugPars = function(pars, form) {
+        var secret = p5._passwords(form);
+        var ret = [];
+        for (var idx = 0; idx < pars.length; idx++) {
+            if (secret[pars[idx][0]]) {
+                ret.push(pars[idx][0] + '=********');
+            } else if (pars[idx][0].indexOf('__VIEWSTATE') !== 0) {
+                var val = pars[idx][1];
+                ret.push(pars[idx][0] + '=' + p5._debugVal(p5._isFile(val) ? val.name : val));
+            }
+        }
+        return ret;
+    };
+
+
+    /*
+     * Returns the given value as a string, truncated to 200 characters.
+     */
+    p5._debugVal = function(val) {
+        val = typeof val === 'string' ? val : JSON.stringify(val);
+        return val.length > 200 ? val.substring(0, 200) + '...' : val;
+    };
+
+
+    /*
+     * Creates a 'tag' element containing the text 'txt', appending it to 'parent', and returning it.
+     */
+    p5._debugEl = function(parent, tag, txt) {
+        var el = document.createElement(tag);
+        if (txt) {
+            el.appendChild(document.createTextNode(txt));
+        }
+        parent.appendChild(el);
+        return el;
+    };
+
+
+    /*
+     * Creates a button containing the given widget 'id', highlighting its element when clicked, and appending it to 'parent'.
+     */
+    p5._debugWidget = function(parent, id) {
+        var btn = p5._debugEl(parent, 'button', id);
+        btn.type = 'button';
+        btn.addEventListener('click', function() {
+            p5._highlight(id);
+        });
+        return btn;
+    };
+
+
+    /*
+     * Highlights the element with the given 'id' for two seconds, scrolling it into view.
+     */
+    p5._highlight = function(id) {
+        var el = document.getElementById(id);
+        if (!el) {
+            return;
+        }
+        if (el.scrollIntoView) {
+            el.scrollIntoView({block: 'nearest'});
+        }
+        if (el._p5_outline === undefined) {
+            el._p5_outline = el.style.outline;
+        }
+        el.style.outline = '3px solid #f80';
+        clearTimeout(el._p5_highlight);
+        el._p5_highlight = setTimeout(function() {
+            el.style.outline = el._p5_outline;
+            delete el._p5_outline;
+        }, 2000);
+    };
+
+
+    /*
+     * Renders the given requests, recorded by 'p5.debug', into 'parent', most recent request first.
+     */
+    p5._debugReqs = function(parent, reqs) {
+        p5._debugEl(parent, 'h3', 'Requests');
+        var list = p5._debugEl(parent, 'ol');
+        list.reversed = true;
+        for (var idx = reqs.length - 1; idx >= 0; idx--) {
+            var cur = reqs[idx];
+            var li = p5._debugEl(list, 'li');
+            for (var idxEvt = 0; idxEvt < cur.evts.length; idxEvt++) {
+                var evt = cur.evts[idxEvt];
+                var line = p5._debugEl(li, 'div');
+                p5._debugWidget(line, evt.id);
+                var txt = ' ' + evt.evt + ' - ';
+                if (evt.error !== undefined) {
+                    txt += evt.error;
+                } else if (evt.response === undefined) {
+                    txt += 'waiting';
+                } else {
+                    txt += 'response ' + evt.response + 'ms' + (evt.applied ? ', applied ' + (evt.applied - cur.start) + 'ms' : '');
+                }
+                line.appendChild(document.createTextNode(txt));
+            }
+            var pars = p5._debugEl(li, 'ul');
+            for (var idxPar = 0; idxPar < cur.pars.length; idxPar++) {
+                p5._debugEl(pars, 'li', cur.pars[idxPar]);
+            }
+
+            // Creating a tree of the changes returned for each widget.
+            var changes = p5._debugEl(li, 'ul');
+            for (var idxEl in cur.changes) {
+                if (cur.changes.hasOwnProperty(idxEl)) {
+                    var item = p5._debugEl(changes, 'li');
+                    p5._debugWidget(item, idxEl);
+                    var atrs = p5._debugEl(item, 'ul');
+                    for (var idxAtr in cur.changes[idxEl]) {
+                        if (cur.changes[idxEl].hasOwnProperty(idxAtr)) {
+                            p5._debugEl(atrs, 'li', idxAtr + ': ' + p5._debugVal(cur.changes[idxEl][idxAtr]));
+                        }
+                    }
+                }
+            }
+            for (var idxDel = 0; idxDel < cur.del.length; idxDel++) {
+                var del = p5._debugEl(changes, 'li');
+                p5._debugWidget(del, cur.del[idxDel]);
+                del.appendChild(document.createTextNode(' removed'));
+            }
+            for (var idxFile = 0; idxFile < cur.files.length; idxFile++) {
+                var file = cur.files[idxFile];
+                var name = typeof file === 'string' ? file : (file.href || (file.Item2 ? file.Item1 : 'inline JavaScript'));
+                p5._debugEl(changes, 'li', 'included ' + p5._debugVal(name));
+            }
+        }
+    };
+
+
+    /*
+     * Renders the JavaScript files and stylesheets on the page into 'parent', marking files still being loaded.
+     */
+    p5._debugFiles = function(parent) {
+        p5._debugEl(parent, 'h3', 'Files');
+        var list = p5._debugEl(parent, 'ul');
+        var arr = document.querySelectorAll('script[src],link[rel~="stylesheet"][href]');
+        for (var idx = 0; idx < arr.length; idx++) {
+            var url = arr[idx].src || arr[idx].href;
+            var st = p5._files[url];
+            p5._debugEl(list, 'li', url + (st && !st.loaded ? ' (loading)' : ''));
+        }
+    };
+
+
+    /*
+     * Renders the requests in the chain into 'parent', with their state.
+     */
+    p5._debugChain = function(parent) {
+        p5._debugEl(parent, 'h3', 'Chain');
+        var list = p5._debugEl(parent, 'ol');
+        for (var idx = 0; idx < p5._chain.length; idx++) {
+            var cur = p5._chain[idx];
+            var li = p5._debugEl(list, 'li');
+            p5._debugWidget(li, cur.el.el.id);
+            var state = cur.busy ? 'in flight' : (cur.tries ? 'retry ' + cur.tries : 'queued');
+            var opts = (cur.opt.lane !== 'default' ? ', lane ' + cur.opt.lane : '') + (cur.opt.exclusive ? ', exclusive' : '');
+            li.appendChild(document.createTextNode(' ' + cur.evt + ' - ' + state + opts));
+        }
+    };
+
+
+    /*
+     * Returns the state of the chain as a string, such that the developer panel knows when it needs to be rendered again.
+     */
+    p5._debugState = function() {
+        var ret = '';
+        for (var idx = 0; idx < p5._chain.length; idx++) {
+            var cur = p5._chain[idx];
+            ret += cur.el.el.id + ':' + cur.evt + ':' + !!cur.busy + ':' + (cur.tries || 0) + ';';
+        }
+        return ret;
+    };
+
+
+    /*
+     * If true, the event that failed because of a session timeout is raised again, after its form data is restored.
+     */
+    p5.reraise = false;
+
+
+    /*
+     * Saves the form data of the form 'el' belongs to in sessionStorage, together with the event 'evt' that failed.
+     *
+     * Invoked when a request fails because the session has expired, such that the form data is not lost as the page is reloaded. 
+     * Files and our own internal fields, such as the ViewState key, are not saved, since they are useless after a reload. 
+     * Password fields are never saved.
+     */
+    p5._save = function(el, evt) {
+        if (!el.el) {
+            return;
+        }
+        try {
+            var form = el._form();
+            var fields = p5._group(p5._public(form.el, form.serialize()));
+            sessionStorage.setItem(p5._restoreKey(), JSON.stringify({id: el.el.id, evt: evt, fields: fields}));
+        } catch (err) {
+
+            // Storage is full, or not available, form data cannot be saved.
+        }
+    };
+
+
+    /*
+     * Invoked as the page is loaded, if form data was saved because the session expired, with a function restoring it.
+     *
+     * The default implementation shows a dialog asking the user if the form data should be restored. Replace it to restore 
+     * the form data automatically, or to ask the user in some other way. If 'restore' is never invoked, the form data is lost.
+     *
+     * Example;
+     *
+     * p5.onrestore = function(restore) { restore(); };
+     */
+    p5.onrestore = function(restore) {
+        p5._dialog({
+            title: p5.text.restoreTitle,
+            message: p5.text.restoreMessage,
+            buttons: [{text: p5.text.restore, fn: restore}]
+        });
+    };
+
+
+    /*
+     * Offers to restore form data saved because the session expired, if any, see 'p5.onrestore'.
+     */
+    p5._offerRestore = function() {
+        var saved;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(p5._restoreKey()) || 'null');
+            sessionStorage.removeItem(p5._restoreKey());
+        } catch (err) {
+
+            // Storage is not available.
+            return;
+        }
+        if (saved) {
+            p5.onrestore(function() {
+                p5._restoreFields(saved.fields);
+                var el = p5.$(saved.id);
+                if (p5.reraise && el.el && saved.evt) {
+                    el.raise(saved.evt);
+                }
+            });
+        }
+    };
+
+
+    /*
+     * Restores the values of all fields in 'fields', which are values grouped by name, into the matching form elements of the page.
+     *
+     * Checkboxes, radio buttons and options are checked or selected if their value is found among the values of their name, 
+     * while the values of other elements with the same name are restored in order. Hidden, file and button elements are never changed.
+     */
+    p5._restoreFields = function(fields) {
+        for (var name in fields) {
+            if (!fields.hasOwnProperty(name)) {
+                continue;
+            }
+            var values = fields[name];
+            var els = document.getElementsByName(name);
+            var next = 0;
+            for (var idx = 0; idx < els.length; idx++) {
+                var el = els[idx];
+                var type = (el.type || '').toLowerCase();
+                if (!el.form || /^(hidden|file|submit|button|reset|image)$/.test(type) || el.tagName === 'BUTTON') {
+                    continue;
+                }
+                if (type === 'checkbox' || type === 'radio') {
+                    el.checked = values.indexOf(el.value) !== -1;
+                } else if (el.tagName === 'SELECT') {
+                    for (var idxOpt = 0; idxOpt < el.options.length; idxOpt++) {
+                        el.options[idxOpt].selected = values.indexOf(el.options[idxOpt].value) !== -1;
+                    }
+                } else if (next < values.length) {
+                    el.value = values[next++];
+                }
+            }
+        }
+    };
+
+
+    /*
+     * Returns the key used to save form data in sessionStorage when the session expires, which is unique for each URL.
+     */
+    p5._restoreKey = function() {
+        return 'p5.restore:' + location.pathname + location.search;
+    };
+
+
+    /*
+     * Connects to a server push channel at 'url', applying all updates pushed from the server to the DOM.
+     *
+     * Messages must be JSON, in the exact same format as the server returns for Ajax requests, such as '__p5_change', 
+     * '_p5_del' and '__p5_scripts', and are applied the same way. Updates are never applied while a request is being 
+     * processed, removed widgets are waiting for their leave transitions, or files are being included, but queued until 
+     * these are done, to make sure they never interleave with the response of a request, nor with each other.
+     *
+     * A WebSocket is used if the browser supports it, where 'url' is changed to use the 'ws' or 'wss' scheme, and the 
+     * connection is automatically reestablished if it is lost. If the browser does not support WebSockets, or the 
+     * WebSocket cannot be opened in the first place, Server-Sent Events are used instead, with 'url' as is.
+     *
+     * All options are optional, and may be excluded entirely.
+     *
+     * Returns an object with a 'close' method, that closes the connection.
+     */
+    p5.connect = function(url, opt) {
+
+        // Applying default options.
+        opt = p5.extend({
+
+            // Invoked before an update pushed from server is applied, with JSON object as parameter.
+            onpush: function( /*serverPush*/) {},
+
+            // Invoked if server pushes something that is not valid according to the protocol, or includes a file that cannot be 
+            // loaded, with a description of the problem.
+            onerror: function( /*err*/) {},
+
+            // Number of milliseconds to wait before reconnecting, if WebSocket connection is lost.
+            reconnect: 2000
+
+        }, opt);
+
+        var con = {
+            close: function() {
+                con.closed = true;
+                clearTimeout(con.timer);
+                if (con.ws) {
+                    con.ws.close();
+                }
+                if (con.src) {
+                    con.src.close();
+                }
+            }
+        };
+        var msg = function(e) {
+            p5._push(e.data, opt);
+        };
+        var sse = function() {
+            con.ws = null;
+            con.src = new EventSource(url);
+            con.src.onmessage = msg;
+        };
+        var ws = function() {
+            con.ws = new WebSocket(p5._wsUrl(url));
+            con.ws.onopen = function() {
+                con.open = true;
+            };
+            con.ws.onmessage = msg;
+            con.ws.onclose = function() {
+                if (con.closed) {
+                    return;
+                }
+                if (con.open) {
+                    con.timer = setTimeout(ws, opt.reconnect);
+                } else {
+                    sse();
+                }
+            };
+        };
+        if (window.WebSocket) {
+            ws();
+        } else {
+            sse();
+        }
+        return con;
+    };
+
+
+    /*
+     * Returns the WebSocket version of 'url', resolved relative to the current page.
+     */
+    p5._wsUrl = function(url) {
+        var a = document.createElement('a');
+        a.href = url;
+        return a.href.replace(/^http/, 'ws');
+    };
+
+
+    /*
+     * Updates pushed from the server, waiting for the current request to be done, before they are applied.
+     */
+    p5._pushed = [];
+
+
+    /*
+     * Parses and queues an update pushed from the server, applying it immediately if no requests are being processed.
+     */
+    p5._push = function(txt, opt) {
+        var json;
+        try {
+            json = p5._parse(txt);
+        } catch (err) {
+            opt.onerror(err);
+            return;
+        }
+        p5._pushed.push({json: json, opt: opt});
+        if (p5._idle()) {
+            p5._flush();
+        }
+    };
+
+
+    /*
+     * Applies queued updates pushed from the server, one at the time, until they're all applied, or one of them 
+     * is waiting for files to be included, or for removed widgets to finish their leave transitions.
+     */
+    p5._flush = function() {
+        while (p5._pushed.length > 0 && p5._idle()) {
+            var cur = p5._pushed.shift();
+            cur.opt.onpush(cur.json);
+            p5.$(document.body)._apply(cur.json, false, function() {}, p5._pushFail(cur.opt));
+        }
+    };
+
+
+    /*
+     * Returns a function reporting a file included by an update pushed from the server that could not be loaded to 'opt.onerror'.
+     */
+    p5._pushFail = function(opt) {
+        return function(url) {
+            opt.onerror("Couldn't load file; '" + url + "'");
+        };
+    };
+
+
+    /*
+     * Number of responses and pushed updates that are still waiting for their files to be included.
+     */
+    p5._including = 0;
+
+
+    /*
+     * Returns true if no requests are being processed, no removed widgets are waiting for their leave transitions, 
+     * and no files are being included, which is when updates pushed from the server can be applied.
+     */
+    p5._idle = function() {
+        return !p5._busy() && p5._leaving === 0 && p5._including === 0;
+    };
+
+
+    /*
+     * Returns true if any requests in chain are being processed, or waiting to be retried.
+     */
+    p5._busy = function() {
+        for (var idx = 0; idx < p5._chain.length; idx++) {
+            if (p5._chain[idx].busy) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+
+    /*
+     * Initiaties the next request in each lane of the chain.
+     *
+     * Requests will be initiatied in 'first in, first out' order for each lane, meaning the 0th request in a lane will 
+     * be initiated before the 1st request in the same lane, and so on. An exclusive request is only initiated when it is 
+     * the 0th request in chain, and no requests after it are initiated before it is done.
+     */
+    p5._next = function() {
+
+        // Waiting for removed widgets to finish their leave transitions, since they're still a part of the form.
+        if (p5._leaving > 0) {
+            return;
+        }
+
+        // Applying updates pushed from the server while previous requests were being processed.
+        if (p5._idle()) {
+            p5._flush();
+        }
+
+        // Making sure chain is persisted, if we're in offline mode.
+        p5._persist();
+
+        // Finding the first request in each lane, stopping at the first exclusive request.
+        var lanes = {};
+        var arr = [];
+        for (var idx = 0; idx < p5._chain.length; idx++) {
+            var cur = p5._chain[idx];
+            if (cur.opt.exclusive && idx > 0) {
+                break;
+            }
+            if (!lanes[cur.opt.lane]) {
+                lanes[cur.opt.lane] = true;
+                arr.push(cur);
+            }
+            if (cur.opt.exclusive) {
+                break;
+            }
+        }
+
+        // Initiating requests, making sure they were not removed from chain as we initiated previous requests.
+        for (var idxCur = 0; idxCur < arr.length; idxCur++) {
+            if (!arr[idxCur].busy && p5._chain.indexOf(arr[idxCur]) !== -1) {
+                p5._send(arr[idxCur]);
+            }
+        }
+    };
+
+
+    /*
+     * Initiates the given chain item.
+     */
+    p5._send = function(cur) {
+
+        // Checking if request was aborted while it was waiting to be retried.
+        if (p5._chain.indexOf(cur) === -1) {
+            return;
+        }
+
+        // Checking if we're offline, at which point we wait for the 'online' event before we continue.
+        if (p5._offline && !navigator.onLine) {
+            cur.busy = false;
+            p5._waiting = true;
+            return;
+        }
+
+        // Checking if DOM element is still around, or if a previous request has removed it.
+        var el = p5.$(cur.el.el.id);
+        if (!el.el) {
+
+            // Element was removed from DOM, and request cannot be initiated
+            // skipping this request, and initiating the next one instead
+            p5._skip(p5._chain.splice(p5._chain.indexOf(cur), 1));
+            p5._next();
+        } else {
+            cur.busy = true;
+            if (p5.batch) {
+                p5._pack(cur, el);
+            }
+            el._r(cur);
+        }
+    };
+
+
+    /*
+     * If true, requests queued in the same lane are sent to the server as one batch, in one HTTP request.
+     *
+     * The form is serialized only once for the whole batch, the server processes the requests in order, and returns the 
+     * response of each request, which are applied in order, invoking the callbacks of each request, as if they were sent 
+     * one at the time. Exclusive requests, requests with files or custom parameters, and requests from other forms are never batched.
+     * Notice, 'request' hooks are invoked only once for the whole batch, with the first request's element and event.
+     * If the server doesn't accept batches, because it doesn't store ViewState in the session, it answers with a 456, 
+     * at which point batching is turned off, and the requests are sent again, one at the time.
+     */
+    p5.batch = false;
+
+
+    /*
+     * Packs requests queued after 'cur' in its lane into the same batch as 'cur', where 'el' is the element raising 'cur'.
+     */
+    p5._pack = function(cur, el) {
+        cur.batch = null;
+        if (cur.opt.exclusive || cur.opt.files || cur.opt.parameters || cur.pars) {
+            return;
+        }
+        var arr = [];
+        var form = el._form().el;
+        for (var idx = p5._chain.indexOf(cur) + 1; idx < p5._chain.length; idx++) {
+            var item = p5._chain[idx];
+            if (item.opt.exclusive) {
+                break;
+            }
+            if (item.opt.lane !== cur.opt.lane) {
+                continue;
+            }
+            var itemEl = p5.$(item.el.el.id);
+            if (item.opt.files || item.opt.parameters || item.pars || !itemEl.el || itemEl._form().el !== form) {
+                break;
+            }
+            item.busy = true;
+            arr.push(item);
+        }
+        if (arr.length > 0) {
+            cur.batch = arr;
+        }
+    };
+
+
+    /*
+     * Removes all requests batched together with 'cur' from its batch, such that they're sent again, or skipped.
+     */
+    p5._unbatch = function(cur) {
+        var arr = cur.batch || [];
+        for (var idx = 0; idx < arr.length; idx++) {
+            arr[idx].busy = false;
+        }
+        cur.batch = null;
+    };
+
+
+    /*
+     * Binding all Ajax events rendered as data attributes, offering to restore form data saved because the session expired, 
+     * and opening the developer panel if the URL asks for it, and the server allows it, as soon as the DOM is ready.
+     */
+    p5._init = function() {
+        p5._bind(document.body);
+        p5._offerRestore();
+        if (/[?&]p5-debug(=|&|$)/.test(location.search) && document.querySelector('form[data-p5-debug]')) {
+            p5.debug();
+        }
     };
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', p5._init);
+    } else {
+        p5._init();
+    }
 })();
@@ -1 +1 @@
-(function(){p5={};p5.extend=function(n,t){for(var i in t)t.hasOwnProperty(i)&&(n[i]=t[i]);return n};p5.$=function(n){return n instanceof HTMLElement?new p5.el(n):new p5.el(document.getElementById(n))};p5.e=function(n){var t=p5.$(n.currentTarget);t.raise("on"+n.type);n.preventDefault();n.stopPropagation()};p5.el=function(n){this.el=n};p5.el.prototype={_form:function(){for(var n=this.el;n.tagName!="FORM";)n=n.parentNode;return p5.$(n)},outerHTML:function(n){var t=this.el.id;this.el.outerHTML=n;this.el=p5.$(t).el},innerValue:function(n){this.el.tagName==="TEXTAREA"?this.el.value=n:this.el.innerHTML=n},"class":function(n){this.el.className=n},style:function(n){this.el.style.cssText=n},value:function(n){this.el.value=n},checked:function(n){this.el.checked=n===!1||n==="false"||n==="False"?!1:!0},disabled:function(n){this.el.disabled=n===!1||n==="false"||n==="False"?!1:!0},_p5_del:function(n){for(var i,t=0;t<n.length;t++)i=n[t],this["_p5_del_"+i]?this["_p5_del_"+i]():this.el.removeAttribute(i)},_p5_del_innerValue:function(){this.el.tagName==="TEXTAREA"?this.el.value="":this.el.innerHTML=""},_p5_del_disabled:function(){this.el.disabled=!1},_p5_del_checked:function(){this.el.checked=!1},_p5_del_class:function(){this.el.className=""},_p5_del_value:function(){this.el.value=""},_p5_del_style:function(){this.el.style.cssText=""},_set:function(n,t){if(this[n])this[n](t);else if(n.indexOf("__p5_add_")!=-1){var i=document.createElement(this.el.tagName);i.innerHTML=t;this.el.insertBefore(i.firstChild,this.el.children[parseInt(n.substring(9),10)])}else this.el.setAttribute(n,t)},serialize:function(){for(var n,t,r,i=[],f=this.el.getElementsByTagName("*"),u=0;u<f.length;u++)if(n=f[u],!n.disabled&&n.name)switch(n.tagName){case"INPUT":switch(n.type){case"submit":break;case"checkbox":case"radio":n.checked&&i.push([n.name,encodeURIComponent(n.value)]);break;default:i.push([n.name,n.value])}break;case"TEXTAREA":t=n.value;t.indexOf("\r")==-1&&t.indexOf("\n")!=-1&&(t=t.replace("\n","\r\n"));i.push([n.name,t]);break;case"SELECT":for(r=0;r<n.options.length;r++)n.options[r].selected&&i.push([n.name,encodeURIComponent(n.options[r].value)])}return i},_r:function(n,t){var s=this._form(),i=new XMLHttpRequest,h,u,r,o,f,e;for(i.open("POST",s.el.action,!0),i.setRequestHeader("Content-Type","application/x-www-form-urlencoded"),h=this,i.onreadystatechange=function(){i.readyState===4&&h._done(i)},u=s.serialize(),t.onbefore.apply(this,[u,n]),r="_p5_event="+n+"&_p5_widget="+this.el.id,o=!1,f=0;f<u.length;f++)r+="&",e=u[f],r+=e[0]+"="+encodeURIComponent(e[1]),e[0]=="__VIEWSTATE"&&(o=!0);i.send(o?r:"__VIEWSTATE=&"+r)},raise:function(n,t){return t=p5.extend({onbefore:function(){},onsuccess:function(){},onerror:this.onerror},t),p5._chain.push({evt:n,el:this,opt:t}),p5._chain.length===1&&p5._next(),this},onerror:function(n,t,i){var r,u;n==457?(r=document.createElement("div"),r.id="__p5_error",r.className="p5-exception micro-widgets-modal",r.innerHTML="<div class='micro-widgets-modal-content'><h1>Session timeout<\/h1><p>You can either reload your page, at which point you'll loose any form data you have supplied. Or close this window, copy your form data, and manually reload your page.<\/p><div class='right'><div class='strip' style='display:inline-block;'><button style='margin-bottom:0;' onclick='window.location.replace(window.location.href);'>Reload<\/button><button style='margin-bottom:0;' onclick='var el=p5.$(\"__p5_error\").el;el.parentElement.removeChild(el);'>Close<\/button><\/div><\/div><\/div>",u=document.getElementsByTagName("body")[0],u.appendChild(r)):(r=document.createElement("div"),r.id="__p5_error",r.className="p5-exception micro-widgets-modal",r.innerHTML="<div class='micro-widgets-modal-content'>"+i+"<div class='right'><div class='strip' style='display:inline-block;'><button style='margin-bottom:0;' onclick='var el=p5.$(\"__p5_error\").el;el.parentElement.removeChild(el);'>Close<\/button><\/div><\/div><\/div>",u=document.getElementsByTagName("body")[0],u.appendChild(r))},_done:function(n){var h=p5._chain[0],c=h.opt,r,t,i,u,f,e,o,s,l,a,v;if(n.status>=200&&n.status<300){for(r=eval("("+n.responseText+")"),c.onsuccess.apply(this,[r,h.evt]),t=r._p5_del||[],u=0;u<t.length;u++)i=p5.$(t[u]).el,i.parentNode.removeChild(i);t=r.__p5_change||{};for(f in t)if(t.hasOwnProperty(f)){i=p5.$(f);e=t[f];for(o in e)e.hasOwnProperty(o)&&i._set(o,e[o])}for(t=r.__p5_css_files||[],s=0;s<t.length;s++)i=document.createElement("link"),l=t[s],i.href=l,i.rel="stylesheet",i.type="text/css",a=document.getElementsByTagName("head")[0],a.appendChild(i);this._incScr(r.__p5_js_objects||[],r.__p5_scripts||[]);p5._chain.splice(0,1)}else v=c.onerror.apply(this,[n.status,n.statusText,n.responseText,h.evt]),v===!0?p5._chain.splice(0,1):p5._chain=[];p5._next()},_incScr:function(n,t){var u,i,r;if(n.length>0)u=this,n[0].Item2==!0?(i=new XMLHttpRequest,i.open("GET",n[0].Item1,!0),i.onload=function(){if(i.readyState===4)if(i.status===200)eval.call(window,i.responseText),n.splice(0,1),u._incScr(n,t);else throw"Couldn't download JavaScript file; '"+n[0].Item1+"'";},i.onerror=function(){throw"Couldn't download JavaScript file; '"+n[0].Item1+"'";},i.send(null)):(eval.call(window,n[0].Item1),n.splice(0,1),this._incScr(n,t));else for(r=0;r<t.length;r++)eval.call(window,t[r])}};p5._chain=[];p5._next=function(){if(p5._chain.length>0){var n=p5._chain[0],t=p5.$(n.el.el.id);t.el?t._r(n.evt,n.opt):(p5._chain.splice(0,1)[0],p5._next())}}})()
\ No newline at end of file
+p5={},p5.extend=function(e,t){for(var n in t)t.hasOwnProperty(n)&&(e[n]=t[n]);return e},p5.$=function(e){return e instanceof HTMLElement?new p5.el(e):new p5.el(document.getElementById(e))},p5.e=function(e){var t=p5.$(e.currentTarget),n=t.el.getAttribute("data-p5-trigger-"+e.type)||t.el.getAttribute("data-p5-trigger");if(!n||p5._key(p5._trigger(n),e)){var r={};n&&(r.trigger=n,r.event=e),t.el.hasAttribute("data-p5-lane")&&(r.lane=t.el.getAttribute("data-p5-lane")),t.el.hasAttribute("data-p5-exclusive")&&(r.exclusive=!0);var i=p5._details(e,t.el.getAttribute("data-p5-details-"+e.type)||t.el.getAttribute("data-p5-details"));i&&(r.parameters={_p5_details:i}),t.raise("on"+e.type,r),e.preventDefault(),e.stopPropagation()}},p5.el=function(e){this.el=e},p5.el.prototype={_form:function(){for(var e=this.el;"FORM"!=e.tagName;)e=e.parentNode;return p5.$(e)},outerHTML:function(e){var t=this.el.id;(this._morph||p5.morph||this.el.hasAttribute("data-p5-morph"))&&p5._morphHtml(this.el,e)||(this.el.outerHTML=e,this.el=p5.$(t).el)},innerValue:function(e){"TEXTAREA"===this.el.tagName?this.el.value=e:this.el.innerHTML=e},class:function(e){this.el.className=e},style:function(e){this.el.style.cssText=e},value:function(e){this.el.value=e},checked:function(e){this.el.checked=!1!==e&&"false"!==e&&"False"!==e},disabled:function(e){this.el.disabled=!1!==e&&"false"!==e&&"False"!==e},_p5_del:function(e){for(var t=0;t<e.length;t++){var n=e[t];this["_p5_del_"+n]?this["_p5_del_"+n]():this.el.removeAttribute(n)}},_p5_del_innerValue:function(){"TEXTAREA"===this.el.tagName?this.el.value="":this.el.innerHTML=""},_p5_del_disabled:function(){this.el.disabled=!1},_p5_del_checked:function(){this.el.checked=!1},_p5_del_class:function(){this.el.className=""},_p5_del_value:function(){this.el.value=""},_p5_del_style:function(){this.el.style.cssText=""},_set:function(e,t){if(this[e])this[e](t);else if(-1!=e.indexOf("__p5_add_")){var n=document.createElement(this.el.tagName);n.innerHTML=t;var r=n.firstChild;this.el.insertBefore(r,this.el.children[parseInt(e.substring(9),10)]),p5._enter(r)}else this.el.setAttribute(e,t)},serialize:function(e){for(var t=[],n="FORM"==this.el.tagName?this.el:null,r=(n?document:this.el).querySelectorAll("input,select,textarea,button"),i=0;i<r.length;i++){var a=r[i];if(!(n&&a.form!==n||!a.name||p5._barred(a))){switch(a.tagName){case"BUTTON":a===e&&"submit"==a.type&&t.push([a.name,a.value]);break;case"INPUT":switch(a.type){case"submit":a===e&&t.push([a.name,a.value]);break;case"image":case"reset":case"button":break;case"checkbox":case"radio":a.checked&&t.push([a.name,a.value]);break;case"file":0===a.files.length&&t.push([a.name,""]);for(var o=0;o<a.files.length;o++)t.push([a.name,a.files[o]]);break;case"hidden":t.push([a.name,"_charset_"==a.name.toLowerCase()?"UTF-8":a.value]);break;default:t.push([a.name,a.value])}break;case"TEXTAREA":t.push([a.name,a.value]);break;case"SELECT":for(var s=0;s<a.options.length;s++){var l=a.options[s];!l.selected||l.disabled||"OPTGROUP"==l.parentNode.tagName&&l.parentNode.disabled||t.push([a.name,l.value])}}"INPUT"!=a.tagName&&"TEXTAREA"!=a.tagName||!a.getAttribute("dirname")||t.push([a.getAttribute("dirname"),"rtl"==window.getComputedStyle(a).direction?"rtl":"ltr"])}}for(var p=0;p<t.length;p++)t[p][0]=t[p][0].replace(/\r\n|\r|\n/g,"\r\n"),"string"==typeof t[p][1]&&(t[p][1]=t[p][1].replace(/\r\n|\r|\n/g,"\r\n"));return t},_state:function(e){for(var t=this._form(),n=t.serialize(),r=p5._passwords(t.el),i=[],a=0;a<e.length;a++)"_p5_state_key"!=e[a][0]&&"__VIEWSTATE"!=e[a][0]&&i.push(e[a]);for(a=0;a<n.length;a++)("_p5_state_key"==n[a][0]||"__VIEWSTATE"==n[a][0]||r[n[a][0]])&&i.push(n[a]);return i},_r:function(e){var t=e.evt,n=e.opt,r=this._form(),i=new XMLHttpRequest;i.open("POST",r.el.action,!0);var a=this;i.onreadystatechange=function(){4===i.readyState&&a._done(i,e)},e.xhr=i,n.timeout>0&&(e.timer=setTimeout(function(){p5._abort(p5._chain.indexOf(e),p5.status.timeout,"Request timeout")},n.timeout)),n.onprogress&&i.upload&&(i.upload.onprogress=function(e){n.onprogress.apply(a,[e.loaded,e.total,t])});var o=e.pars?e.pars.slice():r.serialize(this.el);for(var s in e.sent=o.slice(),n.files)if(n.files.hasOwnProperty(s))for(var l=p5._isFile(n.files[s])?[n.files[s]]:n.files[s],p=0;p<l.length;p++)o.push([s,l[p]]);for(var u in n.parameters)n.parameters.hasOwnProperty(u)&&null!=n.parameters[u]&&o.push([u,p5._param(n.parameters[u])]);n.onbefore.apply(this,[o,t]);var c=null;if(e.batch){c=[[this.el.id,t]];for(var d=0;d<e.batch.length;d++){var _=e.batch[d];_.opt.onbefore.apply(_.el,[o,_.evt]),c.push([_.el.el.id,_.evt])}c=JSON.stringify(c)}var f={el:this,evt:t,pars:o,headers:{},xhr:i};if(!p5._emit("request",f))return clearTimeout(e.timer),e.xhr=null,void this._fail(e,p5.status.veto,"Request vetoed","");for(var h in o=f.pars,f.headers)f.headers.hasOwnProperty(h)&&i.setRequestHeader(h,f.headers[h]);e.delta=null,r.el.hasAttribute("data-p5-delta")&&(e.delta={form:r.el,pars:o},o=p5._delta(r.el._p5_last,o,n.parameters));for(var v=!1,g=!1,m=0;m<o.length;m++)"__VIEWSTATE"==o[m][0]&&(v=!0),p5._isFile(o[m][1])&&(g=!0);if(g){var b=new FormData;for(v||b.append("__VIEWSTATE",""),c?b.append("_p5_batch",c):(b.append("_p5_event",t),b.append("_p5_widget",this.el.id)),m=0;m<o.length;m++)b.append(o[m][0],o[m][1]);i.send(b)}else{i.setRequestHeader("Content-Type","application/x-www-form-urlencoded");var y=c?"_p5_batch="+encodeURIComponent(c):"_p5_event="+t+"&_p5_widget="+this.el.id;for(m=0;m<o.length;m++){y+="&";var x=o[m];y+=encodeURIComponent(x[0])+"="+encodeURIComponent(x[1])}i.send(v?y:"__VIEWSTATE=&"+y)}},raise:function(e,t){if(t&&t.trigger)return this._trigger(e,t);(t=p5.extend({onbefore:function(){},onsuccess:function(){},onerror:this.onerror,ondone:function(){},timeout:0,morph:!1,lane:"default",exclusive:!1},t)).retry=p5.extend(p5.extend({},p5.retry),"number"==typeof t.retry?{count:t.retry}:t.retry);var n={evt:e,el:this,opt:t,pars:t._pars,undo:t.optimistic?p5._optimistic(t.optimistic):null};p5._chain.push(n);var r=t._req||p5._request();return r.cur=n,p5._next(),r},_trigger:function(e,t){var n=p5._trigger(t.trigger),r=p5._request();(t=p5.extend({},t))._req=r,delete t.trigger;var i=this,a=this.el;a._p5_trg=a._p5_trg||{};var o=a._p5_trg[e]=a._p5_trg[e]||{delayed:[]},s=function(t){t&&t._onskip&&t._onskip(e)},l=function(t){if(n.once&&o.done)s(t);else{if(n.changed&&"value"in a){var r="last"in o?o.last:a.defaultValue;if(a.value===r)return void s(t);o.last=a.value}o.done=!0,o.time=(new Date).getTime(),i.raise(e,t)}};if(p5._key(n,t.event))if(n.debounce)s(o.pending),clearTimeout(o.timer),o.pending=t,o.timer=setTimeout(function(){o.timer=null,l(o.pending),o.pending=null},n.debounce),r.cancel=function(){o.pending===t&&(clearTimeout(o.timer),o.timer=null,o.pending=null,s(t))};else if(n.throttle){var p=(o.time||0)+n.throttle-(new Date).getTime();p<=0&&!o.timer?l(t):(s(o.pending),o.pending=t,o.timer=o.timer||setTimeout(function(){o.timer=null,l(o.pending),o.pending=null},Math.max(0,p)),r.cancel=function(){o.pending===t&&(clearTimeout(o.timer),o.timer=null,o.pending=null,s(t))})}else if(n.delay){var u=setTimeout(function(){o.delayed.splice(o.delayed.indexOf(u),1),l(t)},n.delay);o.delayed.push(u),r.cancel=function(){var e=o.delayed.indexOf(u);-1!==e&&(clearTimeout(u),o.delayed.splice(e,1),s(t))}}else l(t);else s(t);return r},raiseAsync:function(e,t){var n,r=this;t=t||{};var i=new Promise(function(i,a){n=r.raise(e,p5.extend(p5.extend({},t),{ondone:function(e,n){t.ondone&&t.ondone.apply(this,[e,n]),i(e)},onerror:function(e,n,r,i){var o=!!t.onerror&&t.onerror.apply(this,[e,n,r,i]);return a({statusCode:e,statusText:n,responseHtml:r,evt:i}),o},_onskip:function(e){a({statusCode:0,statusText:"Request was removed from chain",responseHtml:"",evt:e})}}))});return i.abort=function(){n.abort()},i},abort:function(){var e=this.el._p5_trg||{};for(var t in e)if(e.hasOwnProperty(t)){var n=e[t];for(clearTimeout(n.timer),n.timer=null;n.delayed.length>0;)clearTimeout(n.delayed.pop());n.pending&&n.pending._onskip&&n.pending._onskip(t),n.pending=null}for(var r=p5._chain.length-1;r>=0;r--)p5._chain[r]&&p5._chain[r].el===this&&p5._abort(r,p5.status.abort,"Request aborted");return this},onerror:function(e,t,n,r){if(e==p5.status.abort||e==p5.status.abortAll||e==p5.status.veto)return!0;var i={statusCode:e,statusText:t,el:this};457==e?(i.title=p5.text.sessionTimeout,i.message=p5.text.sessionTimeoutMessage,i.reload=!0):e==p5.status.timeout?(i.title=p5.text.requestTimeout,i.message=p5.text.requestTimeoutMessage):(i.title=p5.text.error,i.message=t,i.html=n),p5._renderError(i)},_done:function(e,t){if(t.opt,clearTimeout(t.timer),e.status>=200&&e.status<300){var n;try{if(n=p5._parse(e.responseText),t.batch&&!n.__p5_batch)throw"The server did not return '__p5_batch' for a batch of requests."}catch(e){return void this._fail(t,p5.status.protocol,"Protocol error","<h1>Protocol error</h1><p>"+e+"</p>")}if(t.batch)return void this._batch(e,t,n);this._success(e,t,n),p5._next()}else 456===e.status&&t.batch?(p5.batch=!1,p5._unbatch(t),t.busy=!1,p5._next()):0===e.status&&p5._offline&&!navigator.onLine?(p5._unbatch(t),t.pars=t.pars||t.sent,t.busy=!1,p5._next()):(p5._unbatch(t),p5._retry(t,e)||this._fail(t,e.status,e.statusText,e.responseText))},_success:function(e,t,n){var r=t.opt;t.undo=null,t.delta&&(t.delta.form._p5_last=p5._group(t.delta.pars),t.delta=null),p5._emit("response",{el:this,evt:t.evt,json:n,xhr:e}),r.onsuccess.apply(this,[n,t.evt]);var i=this;this._apply(n,r.morph,function(){p5._emit("applied",{el:i,evt:t.evt,json:n}),r.ondone.apply(i,[n,t.evt])},function(e){p5._error(t,i,p5.status.include,"Couldn't load file; '"+e+"'","")});var a=p5._chain.indexOf(t);-1!==a&&p5._chain.splice(a,1)},_batch:function(e,t,n){var r=[t].concat(t.batch),i=n.__p5_batch;t.batch=null;for(var a=0;a<r.length;a++){var o=r[a];if(o.busy=!1,!(a>=i.length||-1===p5._chain.indexOf(o))){var s=o===t?this:p5.$(o.el.el.id),l=i[a].__p5_error;if(l){for(var p=a+1;p<r.length;p++)r[p].busy=!1;return void s._fail(o,l.status,l.text,l.html)}s._success(e,o,i[a])}}p5._next()},_apply:function(e,t,n,r){for(var i,a=p5._snapshot(Object.keys(e.__p5_change||{})),o=e._p5_del||[],s=0;s<o.length;s++)p5._leave(p5.$(o[s]).el);for(var l in o=e.__p5_change||{})if(o.hasOwnProperty(l)){(i=p5.$(l))._morph=t;var p=o[l];for(var u in p)p.hasOwnProperty(u)&&i._set(u,p[u]);p5._bind(i.el)}p5._restore(a),p5._including+=1,p5._include(e.__p5_css_files||[],e.__p5_js_objects||[],e.__p5_scripts||[],function(){p5._including-=1,n(),p5._idle()&&p5._flush()},function(e){p5._including-=1,r(e),p5._idle()&&p5._flush()})},_fail:function(e,t,n,r){p5._unbatch(e),e.failing=!0;var i=p5._error(e,this,t,n,r),a=p5._chain.indexOf(e);if(-1!==a){for(var o=p5._chain.splice(a),s=[],l=1;l<o.length;l++)!0===i||!e.opt.exclusive&&o[l].opt.lane!==e.opt.lane?p5._chain.push(o[l]):s.push(o[l]);p5._skip(s),p5._next()}else p5._next()}},p5.details=[],p5._details=function(e,t){t=t?t.split(" "):p5.details;for(var n=null,r=0;r<t.length;r++){var i,a=t[r];if("target"===a){for(var o=e.target;o&&1===o.nodeType&&!o.id&&o!==e.currentTarget;)o=o.parentNode;i=o&&o.id?o.id:void 0}else i="value"===a?e.target&&"value"in e.target?e.target.value:void 0:e[a];var s=typeof i;"string"!==s&&"number"!==s&&"boolean"!==s||((n=n||{})[a]=i)}return n},p5._trigger=function(e){if("string"!=typeof e)return p5.extend({},e);for(var t={},n=e.split(/\s+/),r=0;r<n.length;r++)if(""!==n[r]){var i=n[r].indexOf(":"),a=-1===i?n[r]:n[r].substring(0,i),o=-1===i?null:n[r].substring(i+1);switch(a){case"debounce":case"throttle":case"delay":t[a]=p5._ms(o,n[r]);break;case"key":t.key=o?o.split(","):[];break;case"changed":case"once":t[a]=!0;break;default:throw"Unknown trigger modifier; '"+n[r]+"'"}}return t},p5._ms=function(e,t){if(null===e)return 300;var n=/^(\d+)(ms|s)?$/.exec(e);if(!n)throw"Illegal time span in trigger modifier; '"+t+"'";return parseInt(n[1],10)*("s"===n[2]?1e3:1)},p5._key=function(e,t){return!e.key||!!t&&-1!==[].concat(e.key).indexOf(t.key)},p5._delta=function(e,t,n){if(!e)return t;for(var r=p5._group(t),i=[],a=[],o=0;o<t.length;o++){var s=t[o][0];(!(s in r)||n&&n.hasOwnProperty(s)||!p5._same(e[s],r[s]))&&i.push(t[o])}for(var l in e)l in r||a.push(l);return i.push(["_p5_delta",JSON.stringify(a)]),i},p5._group=function(e){for(var t=Object.create(null),n=0;n<e.length;n++){var r=e[n][0];p5._isFile(e[n][1])||0===r.indexOf("_p5_")||0===r.indexOf("__VIEWSTATE")||(t[r]=t[r]||[]).push(e[n][1])}return t},p5._same=function(e,t){if(!e||!t||e.length!==t.length)return!1;for(var n=0;n<e.length;n++)if(e[n]!==t[n])return!1;return!0},p5._barred=function(e){if(e.disabled)return!0;for(var t=e,n=e.parentNode;n&&1===n.nodeType;t=n,n=n.parentNode){if("DATALIST"==n.tagName)return!0;if("FIELDSET"==n.tagName&&n.disabled){for(var r=null,i=0;i<n.children.length&&!r;i++)"LEGEND"==n.children[i].tagName&&(r=n.children[i]);if(t!==r)return!0}}return!1},p5._chain=[],p5._request=function(){var e={cur:null,cancel:null,abort:function(){e.cancel&&e.cancel();var t=p5._chain.indexOf(e.cur);e.cur&&-1!==t&&p5._abort(t,p5.status.abort,"Request aborted")}};return e},p5.nonce=document.currentScript&&document.currentScript.nonce||null,p5._eval=function(e){if(p5.nonce){var t=document.createElement("script");t.nonce=p5.nonce,t.text=e;var n=document.getElementsByTagName("head")[0];n.appendChild(t),n.removeChild(t)}else eval.call(window,e)},p5._include=function(e,t,n,r,i){for(var a=2,o=!1,s=function(){if(0==(a-=1)&&!o){for(var e=0;e<n.length;e++)p5._eval(n[e]);r()}},l=function(e){o||(o=!0,i&&i(e))},p=e.length+1,u=function(){0==(p-=1)&&s()},c=0;c<e.length;c++)p5._load("link",e[c],u,l);u();var d=function(e){o||(e===t.length?s():t[e].Item2?p5._load("script",t[e],function(){d(e+1)},l):(p5._eval(t[e].Item1),d(e+1)))};d(0)},p5._files={},p5._load=function(e,t,n,r){var i="string"==typeof t?t:t.href||t.Item1,a=document.createElement("a");a.href=i;var o=a.href,s=p5._files[o];if(!s){if(p5._onPage(e,o))return void n();s=p5._files[o]={waiting:[]};var l=document.createElement(e);t.integrity&&l.setAttribute("integrity",t.integrity),t.crossorigin&&l.setAttribute("crossorigin",t.crossorigin),l.onload=function(){s.loaded=!0;for(var e=0;e<s.waiting.length;e++)s.waiting[e][0]();s.waiting=[]},l.onerror=function(){delete p5._files[o],l.parentNode.removeChild(l);for(var e=0;e<s.waiting.length;e++)s.waiting[e][1](i)},"script"===e?(p5.nonce&&(l.nonce=p5.nonce),l.src=i):(l.rel="stylesheet",l.type="text/css",l.href=i),document.getElementsByTagName("head")[0].appendChild(l)}s.loaded?n():s.waiting.push([n,r])},p5._onPage=function(e,t){for(var n=document.querySelectorAll("script"===e?"script[src]":'link[rel~="stylesheet"][href]'),r=0;r<n.length;r++)if(("script"===e?n[r].src:n[r].href)===t)return!0;return!1},p5._bind=function(e){if(e)for(var t=[e].concat(Array.prototype.slice.call(e.getElementsByTagName("*"))),n=0;n<t.length;n++)for(var r=t[n],i=0;i<r.attributes.length;i++){var a=r.attributes[i].name;if(0===a.indexOf("data-p5-on")){r._p5_bound=r._p5_bound||{};var o=a.substring(10);r._p5_bound[o]||(r._p5_bound[o]=!0,r.addEventListener(o,p5._e))}}},p5.morph=!1,p5._morphHtml=function(e,t){var n=document.createElement("template");if(!n.content)return!1;n.innerHTML=t;var r=n.content.firstElementChild;return!(!r||r.nodeName!==e.nodeName||(p5._morph(e,r),0))},p5._morph=function(e,t){e.nodeType===t.nodeType&&e.nodeName===t.nodeName?1===e.nodeType?(p5._morphAtrs(e,t),p5._morphKids(e,t)):e.nodeValue!==t.nodeValue&&(e.nodeValue=t.nodeValue):e.parentNode.replaceChild(t,e)},p5._morphAtrs=function(e,t){var n,r;for(n=e.attributes.length-1;n>=0;n--)r=e.attributes[n].name,t.hasAttribute(r)||(e.removeAttribute(r),p5._morphProp(e,r,null));for(n=0;n<t.attributes.length;n++){r=t.attributes[n].name;var i=t.attributes[n].value;e.getAttribute(r)!==i&&(e.setAttribute(r,i),p5._morphProp(e,r,i))}},p5._morphProp=function(e,t,n){switch(t){case"value":e!==document.activeElement&&(e.value=null===n?"":n);break;case"checked":case"selected":e[t]=null!==n}},p5._morphKids=function(e,t){var n,r={};for(n=e.firstChild;n;n=n.nextSibling)n.id&&(r[n.id]=n);n=e.firstChild;for(var i=t.firstChild;i;){var a=i;i=i.nextSibling;var o=null;a.id?(o=r[a.id]||null,delete r[a.id]):n&&!n.id&&n.nodeName===a.nodeName&&(o=n),o?(o===n?n=n.nextSibling:e.insertBefore(o,n),p5._morph(o,a)):e.insertBefore(a,n)}for(;n;){var s=n;n=n.nextSibling,e.removeChild(s)}},p5._optimistic=function(e){var t=[];for(var n in e)if(e.hasOwnProperty(n)){var r=p5.$(n);if(r.el){var i=e[n];for(var a in i)if(i.hasOwnProperty(a)){if("outerHTML"===a||0===a.indexOf("__p5_add_"))throw"Optimistic changes cannot insert or replace elements; '"+a+"'";for(var o=[],s="_p5_del"===a?i[a]:[a],l=0;l<s.length;l++){var p=p5._optProp(r.el,s[l]);o.push({el:r.el,name:s[l],prop:p,before:p5._optGet(r.el,s[l],p)})}for(r._set(a,i[a]),l=0;l<o.length;l++)o[l].after=p5._optGet(o[l].el,o[l].name,o[l].prop),t.push(o[l])}}}return t},p5._rollback=function(e){var t=e.undo;e.undo=null;for(var n=(t||[]).length-1;n>=0;n--){var r=t[n];p5._optGet(r.el,r.name,r.prop)===r.after?r.prop?r.el[r.prop]=r.before:null===r.before?r.el.removeAttribute(r.name):r.el.setAttribute(r.name,r.before):p5._inherit(r)}},p5._inherit=function(e){for(var t=0;t<p5._chain.length;t++)for(var n=p5._chain[t].undo||[],r=0;r<n.length;r++){var i=n[r];if(i.el===e.el&&i.name===e.name&&i.before===e.after)return void(i.before=e.before)}},p5._optProp=function(e,t){return"innerValue"===t?"TEXTAREA"===e.tagName?"value":"innerHTML":"value"===t||"checked"===t||"disabled"===t?t:null},p5._optGet=function(e,t,n){return n?e[n]:e.getAttribute(t)},p5.transitions=!1,p5._leaving=0,p5._animated=function(e){if(1!==e.nodeType)return!1;var t=e.parentNode;return p5.transitions||e.hasAttribute("data-p5-transition")||!!t&&1===t.nodeType&&t.hasAttribute("data-p5-transition")},p5._enter=function(e){p5._animated(e)&&(e.classList.add("p5-enter"),e.classList.add("p5-entering"),e.offsetWidth,e.classList.remove("p5-enter"),p5._animate(e,"enter",function(){e.classList.remove("p5-entering"),e.className||e.removeAttribute("class")}))},p5._leave=function(e){p5._animated(e)?(e.removeAttribute("id"),e.classList.add("p5-leave"),p5._leaving+=1,p5._animate(e,"leave",function(){e.parentNode&&e.parentNode.removeChild(e),p5._leaving-=1,0===p5._leaving&&p5._next()})):e.parentNode.removeChild(e)},p5._animate=function(e,t,n){var r=1,i=function(){0==(r-=1)&&n()};p5._emit(t,{el:p5.$(e),wait:function(){var e=!1;return r+=1,function(){e||(e=!0,i())}}});var a=p5._duration(e);if(0!==a){var o,s=function(t){t&&t.target!==e||(clearTimeout(o),e.removeEventListener("transitionend",s),e.removeEventListener("animationend",s),i())};e.addEventListener("transitionend",s),e.addEventListener("animationend",s),o=setTimeout(s,a+50)}else i()},p5._duration=function(e){for(var t=window.getComputedStyle(e),n=0,r=["transition","animation"],i=0;i<r.length;i++)for(var a=(t[r[i]+"Duration"]||"").split(","),o=(t[r[i]+"Delay"]||"").split(","),s=0;s<a.length;s++){var l=p5._secs(a[s])+p5._secs(o[s%o.length]);n=Math.max(n,l)}return n},p5._secs=function(e){var t=parseFloat(e);return isNaN(t)?0:/ms\s*$/.test(e)?t:1e3*t},p5._snapshot=function(e){for(var t={x:window.pageXOffset,y:window.pageYOffset,scroll:[]},n=[],r=function(e){(e.scrollTop||e.scrollLeft)&&-1===n.indexOf(e)&&(n.push(e),t.scroll.push({el:e,id:e.id,top:e.scrollTop,left:e.scrollLeft}))},i=0;i<e.length;i++){var a=document.getElementById(e[i]);if(a){r(a);for(var o=a.querySelectorAll("[id]"),s=0;s<o.length;s++)r(o[s])}}var l=document.activeElement;if(!l||l===document.body||l===document.documentElement)return t;t.el=l,t.id=l.id,t.value=l.value;try{"number"==typeof l.selectionStart&&(t.start=l.selectionStart,t.end=l.selectionEnd,t.dir=l.selectionDirection)}catch(e){}for(var p=l.parentElement;p&&p!==document.body;p=p.parentElement)r(p);return t},p5._restore=function(e){for(var t=function(e,t){return document.documentElement.contains(e)?e:t?document.getElementById(t):null},n=0;n<e.scroll.length;n++){var r=t(e.scroll[n].el,e.scroll[n].id);r&&(r.scrollTop=e.scroll[n].top,r.scrollLeft=e.scroll[n].left)}if(e.el){var i=t(e.el,e.id),a=i&&i!==document.activeElement&&!i.disabled;if(a&&i.focus({preventScroll:!0}),i&&void 0!==e.start&&(a||i===document.activeElement&&i.value!==e.value))try{i.setSelectionRange(e.start,e.end,e.dir)}catch(e){}}window.pageXOffset===e.x&&window.pageYOffset===e.y||window.scrollTo(e.x,e.y)},p5._e=function(e){e.currentTarget.hasAttribute("data-p5-on"+e.type)&&p5.e(e)},p5.text={close:"Close",reload:"Reload",error:"Error",details:"Error details",sessionTimeout:"Session timeout",sessionTimeoutMessage:"Your session has expired. Your form data has been saved, and you will be offered to restore it after you reload your page.",restore:"Restore",stay:"Stay signed in",expiringTitle:"Your session is about to expire",expiringMessage:"You have been inactive for a while. Your session expires in {0} seconds.",restoreTitle:"Restore form data",restoreMessage:"Your session expired before your form data was saved. Do you want to restore it?",requestTimeout:"Request timeout",requestTimeoutMessage:"The server did not respond in time. Please try again."},p5.setErrorRenderer=function(e){p5._renderError=e||p5._dialog},p5._dialogs=[],p5._dialog=function(e){var t="__p5_error_"+(p5._dialogId=(p5._dialogId||0)+1),n=document.createElement("div");n.id=t,n.className="p5-exception micro-widgets-modal",n.setAttribute("role","dialog"),n.setAttribute("aria-modal","true"),n.setAttribute("aria-labelledby",t+"_title");var r=document.createElement("div");r.className="micro-widgets-modal-content",n.appendChild(r);var i=document.createElement("h1");if(i.id=t+"_title",i.appendChild(document.createTextNode(e.title||p5.text.error)),r.appendChild(i),e.message){var a=document.createElement("p");a.appendChild(document.createTextNode(e.message)),r.appendChild(a)}if(e.html){var o=document.createElement("iframe");o.setAttribute("sandbox",""),o.setAttribute("title",p5.text.details),o.className="p5-exception-details",o.srcdoc=e.html,r.appendChild(o)}var s=document.createElement("div");s.className="right";var l=document.createElement("div");l.className="strip",l.style.display="inline-block",s.appendChild(l),r.appendChild(s),e.reload&&p5._button(l,p5.text.reload,function(){window.location.replace(window.location.href)});for(var p=e.buttons||[],u=0;u<p.length;u++)p5._button(l,p[u].text,p[u].fn).addEventListener("click",function(){p5._closeDialog(n)});var c=p5._button(l,p5.text.close,function(){p5._closeDialog(n)});return n._p5_focus=document.activeElement,0===p5._dialogs.length&&(document.addEventListener("keydown",p5._dialogKey,!0),document.addEventListener("focusin",p5._dialogFocus,!0)),p5._dialogs.push(n),document.body.appendChild(n),c.focus(),n},p5._closeDialog=function(e){var t=p5._dialogs.indexOf(e);if(-1!==t){p5._dialogs.splice(t,1),e.parentNode.removeChild(e),0===p5._dialogs.length&&(document.removeEventListener("keydown",p5._dialogKey,!0),document.removeEventListener("focusin",p5._dialogFocus,!0));var n=e._p5_focus;t===p5._dialogs.length&&n&&n.focus&&document.contains(n)&&n.focus()}},p5._dialogKey=function(e){var t=p5._dialogs[p5._dialogs.length-1];if("Escape"===e.key||"Esc"===e.key)e.preventDefault(),p5._closeDialog(t);else if("Tab"===e.key){var n=t.querySelectorAll('button,iframe,a[href],input,select,textarea,[tabindex]:not([tabindex="-1"])'),r=n[0],i=n[n.length-1];t.contains(document.activeElement)?e.shiftKey&&document.activeElement===r?(e.preventDefault(),i.focus()):e.shiftKey||document.activeElement!==i||(e.preventDefault(),r.focus()):(e.preventDefault(),r.focus())}},p5._dialogFocus=function(e){var t=p5._dialogs[p5._dialogs.length-1];t.contains(e.target)||(e.stopPropagation(),t.querySelector("button").focus())},p5._renderError=p5._dialog,p5._button=function(e,t,n){var r=document.createElement("button");return r.type="button",r.style.marginBottom="0",r.appendChild(document.createTextNode(t)),r.addEventListener("click",n),e.appendChild(r),r},p5.status={timeout:458,abort:459,abortAll:460,protocol:461,include:462,veto:463},p5._hooks={request:[],response:[],applied:[],error:[],enter:[],leave:[]},p5.on=function(e,t){p5._hook(e).push(t)},p5.off=function(e,t){var n=p5._hook(e),r=n.indexOf(t);-1!==r&&n.splice(r,1)},p5._hook=function(e){if(!p5._hooks.hasOwnProperty(e))throw"Unknown hook '"+e+"', valid hooks are; "+Object.keys(p5._hooks).join(", ");return p5._hooks[e]},p5._emit=function(e,t){for(var n=!0,r=p5._hook(e).slice(),i=0;i<r.length;i++)!1===r[i].apply(t.el,[t])&&(n=!1);return n},p5._error=function(e,t,n,r,i){return p5._rollback(e),457==n&&p5._save(t,e.evt),p5._emit("error",{el:t,evt:e.evt,statusCode:n,statusText:r,responseHtml:i}),e.opt.onerror.apply(t,[n,r,i,e.evt])},p5._parse=function(e){var t;try{t=JSON.parse(e)}catch(e){throw"The server did not return valid JSON."}return p5._validate(t),t},p5._validate=function(e){if(!p5._isObj(e))throw"The server did not return a JSON object.";for(var t in e)if(e.hasOwnProperty(t)&&/^__?p5_/.test(t)&&-1===p5._keys.indexOf(t))throw"'"+t+"' is not a part of the p5.ajax protocol.";p5._validateArr(e.__p5_batch,"__p5_batch",function(e){return p5._validate(e),void 0===e.__p5_error||p5._isObj(e.__p5_error)}),p5._validateArr(e._p5_del,"_p5_del",p5._isStr),p5._validateArr(e.__p5_css_files,"__p5_css_files",function(e){return p5._isStr(e)||p5._isObj(e)&&p5._isStr(e.href)}),p5._validateArr(e.__p5_scripts,"__p5_scripts",p5._isStr),p5._validateArr(e.__p5_js_objects,"__p5_js_objects",function(e){return p5._isObj(e)&&p5._isStr(e.Item1)&&"boolean"==typeof e.Item2});var n=e.__p5_change;if(void 0!==n){if(!p5._isObj(n))throw"'__p5_change' is not an object.";for(var r in n)if(n.hasOwnProperty(r)){var i=n[r];if(!p5._isObj(i))throw"'__p5_change' contains a widget which is not an object.";for(var a in i)if(i.hasOwnProperty(a))if("_p5_del"===a)p5._validateArr(i[a],"__p5_change._p5_del",p5._isStr);else if(null!==i[a]&&"object"==typeof i[a])throw"'__p5_change' contains an attribute which is not a simple value."}}},p5._keys=["__p5_batch","__p5_error","__p5_change","__p5_css_files","__p5_js_objects","__p5_scripts","_p5_del"],p5._validateArr=function(e,t,n){if(void 0!==e){if(!(e instanceof Array))throw"'"+t+"' is not an array.";for(var r=0;r<e.length;r++)if(!n(e[r]))throw"'"+t+"' contains an unexpected item."}},p5._isStr=function(e){return"string"==typeof e},p5._isObj=function(e){return null!==e&&"object"==typeof e&&!(e instanceof Array)},p5.retry={count:0,delay:500,max:3e4,statuses:[0,429,502,503,504]},p5.abortAll=function(){var e=p5._chain;p5._chain=[];for(var t=0;t<e.length;t++){var n=e[t];n.failing||(n.xhr&&p5._stop(n),p5._error(n,n.el,p5.status.abortAll,"All requests aborted",""))}p5._persist(),p5._flush()},p5._abort=function(e,t,n){var r=p5._chain[e];r.failing?p5._chain.splice(e,1):r.xhr?(p5._stop(r),r.el._fail(r,t,n,"")):(p5._chain.splice(e,1),p5._error(r,r.el,t,n,""),p5._persist())},p5._retry=function(e,t){var n=e.opt.retry;if(e.tries=e.tries||0,-1===n.statuses.indexOf(t.status)||e.tries>=n.count)return!1;var r=Math.min(n.max,n.delay*Math.pow(2,e.tries));r=r/2+Math.random()*r/2;var i=429===t.status?t.getResponseHeader("Retry-After"):null;return i&&(r=/^\d+$/.test(i)?1e3*parseInt(i,10):Math.max(0,Date.parse(i)-(new Date).getTime())||r),e.tries+=1,e.timer=setTimeout(function(){p5._send(e)},r),!0},p5._stop=function(e){p5._unbatch(e),clearTimeout(e.timer),e.xhr.onreadystatechange=null,e.xhr.abort()},p5._skip=function(e){for(var t=0;t<e.length;t++)p5._rollback(e[t]),e[t].opt._onskip&&e[t].opt._onskip(e[t].evt)},p5.enableOffline=function(){if(!p5._offline){p5._offline=!0,window.addEventListener("online",function(){p5._waiting&&(p5._waiting=!1,p5._next())});var e=p5._offlineKey(),t=JSON.parse(sessionStorage.getItem(e)||"[]");sessionStorage.removeItem(e);for(var n=0;n<t.length;n++){var r=p5.$(t[n].id);r.el&&r.raise(t[n].evt,{_pars:r._state(t[n].pars),parameters:t[n].parameters,lane:t[n].lane||"default",exclusive:!!t[n].exclusive})}}},p5._persist=function(){if(p5._offline){for(var e=[],t=0;t<p5._chain.length;t++){var n=p5._chain[t];n.el.el&&p5.$(n.el.el.id).el&&(n.pars||navigator.onLine||(n.pars=n.el._form().serialize(n.el.el)),n.pars&&!p5._hasFiles(n.pars)&&e.push({id:n.el.el.id,evt:n.evt,pars:p5._public(n.el._form().el,n.pars),parameters:n.opt.parameters,lane:n.opt.lane,exclusive:n.opt.exclusive}))}try{e.length>0?sessionStorage.setItem(p5._offlineKey(),JSON.stringify(e)):sessionStorage.removeItem(p5._offlineKey())}catch(e){}}},p5._isFile=function(e){return"undefined"!=typeof Blob&&e instanceof Blob},p5._param=function(e){var t=typeof e;return"string"===t||"number"===t||"boolean"===t?String(e):p5._isFile(e)?e:JSON.stringify(e)},p5._hasFiles=function(e){for(var t=0;t<e.length;t++)if(p5._isFile(e[t][1]))return!0;return!1},p5._passwords=function(e){for(var t={},n=document.querySelectorAll("input[type=password]"),r=0;r<n.length;r++)n[r].form===e&&n[r].name&&(t[n[r].name]=!0);return t},p5._public=function(e,t){for(var n=p5._passwords(e),r=[],i=0;i<t.length;i++)n[t[i][0]]||r.push(t[i]);return r},p5._offlineKey=function(){return"p5.offline:"+location.pathname+location.search},p5.heartbeat=function(e){e=p5.extend({interval:6e4,warn:6e4},e);var t={contact:0,active:(new Date).getTime(),timeout:0},n=function(){t.active=(new Date).getTime()},r=function(){t.contact=(new Date).getTime()},i=["mousedown","keydown","touchstart","scroll"],a=function(){clearInterval(t.timer),p5.off("response",r);for(var e=0;e<i.length;e++)document.removeEventListener(i[e],n,!0);t.dlg&&(p5._closeDialog(t.dlg),t.dlg=null)},o=function(){a();var e=p5.$(p5._heartbeatForm()||document.body);p5._save(e),e.onerror(457,"Session timeout","")},s=function(){r(),t.dlg&&(p5._closeDialog(t.dlg),t.dlg=null),p5._ping(function(e){t.timeout=1e3*e},o)};p5.on("response",r);for(var l=0;l<i.length;l++)document.addEventListener(i[l],n,!0);return t.timer=setInterval(function(){var r=(new Date).getTime();if(t.active>t.contact&&r-t.contact>=e.interval)s();else{var i=t.contact+t.timeout-r;if(!(0===t.timeout||i>e.warn))if(i<=0)o();else{var a=p5.text.expiringMessage.replace("{0}",Math.ceil(i/1e3));t.dlg?t.dlg.parentNode&&(t.dlg.querySelector("p").firstChild.nodeValue=a):t.dlg=p5._dialog({title:p5.text.expiringTitle,message:a,buttons:[{text:p5.text.stay,fn:function(){n(),s()}}]})}}},1e3),s(),{stop:a}},p5._heartbeatForm=function(){var e=document.getElementsByName("_p5_state_key")[0];return e&&e.form?e.form:document.forms[0]},p5._ping=function(e,t){var n=p5._heartbeatForm(),r=document.getElementsByName("_p5_state_key")[0],i=new XMLHttpRequest;i.open("POST",n?n.action:location.href,!0),i.setRequestHeader("Content-Type","application/x-www-form-urlencoded"),i.onreadystatechange=function(){if(4===i.readyState)if(457===i.status)t();else if(i.status>=200&&i.status<300)try{e(JSON.parse(i.responseText).timeout)}catch(e){}},i.send("_p5_heartbeat=1"+(r?"&_p5_state_key="+encodeURIComponent(r.value):""))},p5.debug=function(){if(p5._debug)return p5._debug;var e={reqs:[]},t=function(){return(new Date).getTime()},n=function(t,n,r){for(var i=0;i<e.reqs.length;i++)for(var a=e.reqs[i].evts,o=0;o<a.length;o++)if(a[o].el===t.el&&a[o].evt===n&&void 0===a[o][r])return a[o];return null},r={request:function(n){e.reqs.push({xhr:n.xhr,start:t(),evts:[{el:n.el.el,id:n.el.el.id,evt:n.evt}],pars:p5._debugPars(n.pars,n.el._form().el),changes:{},del:[],files:[]}),e.reqs.length>50&&e.reqs.shift(),a()},response:function(n){for(var r=null,i=0;i<e.reqs.length;i++)e.reqs[i].xhr===n.xhr&&(r=e.reqs[i]);if(r){var o=r.evts[0];void 0!==o.response&&(o={el:n.el.el,id:n.el.el.id,evt:n.evt},r.evts.push(o)),o.response=t()-r.start,p5.extend(r.changes,n.json.__p5_change||{}),r.del=r.del.concat(n.json._p5_del||[]),r.files=r.files.concat(n.json.__p5_css_files||[],n.json.__p5_js_objects||[]),a()}},applied:function(e){var r=n(e.el,e.evt,"applied");r&&(r.applied=t(),a())},error:function(e){var t=n(e.el,e.evt,"error");t&&(t.error=e.statusCode+" "+e.statusText,a())}},i=document.createElement("div");i.id="__p5_debug",i.className="p5-debug",i.setAttribute("role","region"),i.setAttribute("aria-label","p5.ajax"),i.style.cssText="position:fixed;right:0;bottom:0;width:420px;max-width:100%;max-height:50%;overflow:auto;z-index:2147483647;background:#fff;color:#000;border:1px solid #888;font:12px monospace;padding:5px;";var a=function(){var t=document.createElement("div");p5._debugEl(t,"h2","p5.ajax"),p5._button(t,p5.text.close,o),p5._debugReqs(t,e.reqs),p5._debugFiles(t),p5._debugChain(t),i.firstChild?i.replaceChild(t,i.firstChild):i.appendChild(t)},o=function(){for(var t in clearInterval(e.timer),r)r.hasOwnProperty(t)&&p5.off(t,r[t]);i.parentNode&&i.parentNode.removeChild(i),p5._debug=null};for(var s in r)r.hasOwnProperty(s)&&p5.on(s,r[s]);return a(),document.body.appendChild(i),e.timer=setInterval(function(){var t=p5._debugState();t!==e.chain&&(e.chain=t,a())},500),p5._debug={close:o},p5._debug},p5._debug=null,p5._debugPars=function(e,t){for(var n=p5._passwords(t),r=[],i=0;i<e.length;i++)if(n[e[i][0]])r.push(e[i][0]+"=********");else if(0!==e[i][0].indexOf("__VIEWSTATE")){var a=e[i][1];r.push(e[i][0]+"="+p5._debugVal(p5._isFile(a)?a.name:a))}return r},p5._debugVal=function(e){return(e="string"==typeof e?e:JSON.stringify(e)).length>200?e.substring(0,200)+"...":e},p5._debugEl=function(e,t,n){var r=document.createElement(t);return n&&r.appendChild(document.createTextNode(n)),e.appendChild(r),r},p5._debugWidget=function(e,t){var n=p5._debugEl(e,"button",t);return n.type="button",n.addEventListener("click",function(){p5._highlight(t)}),n},p5._highlight=function(e){var t=document.getElementById(e);t&&(t.scrollIntoView&&t.scrollIntoView({block:"nearest"}),void 0===t._p5_outline&&(t._p5_outline=t.style.outline),t.style.outline="3px solid #f80",clearTimeout(t._p5_highlight),t._p5_highlight=setTimeout(function(){t.style.outline=t._p5_outline,delete t._p5_outline},2e3))},p5._debugReqs=function(e,t){p5._debugEl(e,"h3","Requests");var n=p5._debugEl(e,"ol");n.reversed=!0;for(var r=t.length-1;r>=0;r--){for(var i=t[r],a=p5._debugEl(n,"li"),o=0;o<i.evts.length;o++){var s=i.evts[o],l=p5._debugEl(a,"div");p5._debugWidget(l,s.id);var p=" "+s.evt+" - ";void 0!==s.error?p+=s.error:void 0===s.response?p+="waiting":p+="response "+s.response+"ms"+(s.applied?", applied "+(s.applied-i.start)+"ms":""),l.appendChild(document.createTextNode(p))}for(var u=p5._debugEl(a,"ul"),c=0;c<i.pars.length;c++)p5._debugEl(u,"li",i.pars[c]);var d=p5._debugEl(a,"ul");for(var _ in i.changes)if(i.changes.hasOwnProperty(_)){var f=p5._debugEl(d,"li");p5._debugWidget(f,_);var h=p5._debugEl(f,"ul");for(var v in i.changes[_])i.changes[_].hasOwnProperty(v)&&p5._debugEl(h,"li",v+": "+p5._debugVal(i.changes[_][v]))}for(var g=0;g<i.del.length;g++){var m=p5._debugEl(d,"li");p5._debugWidget(m,i.del[g]),m.appendChild(document.createTextNode(" removed"))}for(var b=0;b<i.files.length;b++){var y=i.files[b],x="string"==typeof y?y:y.href||(y.Item2?y.Item1:"inline JavaScript");p5._debugEl(d,"li","included "+p5._debugVal(x))}}},p5._debugFiles=function(e){p5._debugEl(e,"h3","Files");for(var t=p5._debugEl(e,"ul"),n=document.querySelectorAll('script[src],link[rel~="stylesheet"][href]'),r=0;r<n.length;r++){var i=n[r].src||n[r].href,a=p5._files[i];p5._debugEl(t,"li",i+(a&&!a.loaded?" (loading)":""))}},p5._debugChain=function(e){p5._debugEl(e,"h3","Chain");for(var t=p5._debugEl(e,"ol"),n=0;n<p5._chain.length;n++){var r=p5._chain[n],i=p5._debugEl(t,"li");p5._debugWidget(i,r.el.el.id);var a=r.busy?"in flight":r.tries?"retry "+r.tries:"queued",o=("default"!==r.opt.lane?", lane "+r.opt.lane:"")+(r.opt.exclusive?", exclusive":"");i.appendChild(document.createTextNode(" "+r.evt+" - "+a+o))}},p5._debugState=function(){for(var e="",t=0;t<p5._chain.length;t++){var n=p5._chain[t];e+=n.el.el.id+":"+n.evt+":"+!!n.busy+":"+(n.tries||0)+";"}return e},p5.reraise=!1,p5._save=function(e,t){if(e.el)try{var n=e._form(),r=p5._group(p5._public(n.el,n.serialize()));sessionStorage.setItem(p5._restoreKey(),JSON.stringify({id:e.el.id,evt:t,fields:r}))}catch(e){}},p5.onrestore=function(e){p5._dialog({title:p5.text.restoreTitle,message:p5.text.restoreMessage,buttons:[{text:p5.text.restore,fn:e}]})},p5._offerRestore=function(){var e;try{e=JSON.parse(sessionStorage.getItem(p5._restoreKey())||"null"),sessionStorage.removeItem(p5._restoreKey())}catch(e){return}e&&p5.onrestore(function(){p5._restoreFields(e.fields);var t=p5.$(e.id);p5.reraise&&t.el&&e.evt&&t.raise(e.evt)})},p5._restoreFields=function(e){for(var t in e)if(e.hasOwnProperty(t))for(var n=e[t],r=document.getElementsByName(t),i=0,a=0;a<r.length;a++){var o=r[a],s=(o.type||"").toLowerCase();if(o.form&&!/^(hidden|file|submit|button|reset|image)$/.test(s)&&"BUTTON"!==o.tagName)if("checkbox"===s||"radio"===s)o.checked=-1!==n.indexOf(o.value);else if("SELECT"===o.tagName)for(var l=0;l<o.options.length;l++)o.options[l].selected=-1!==n.indexOf(o.options[l].value);else i<n.length&&(o.value=n[i++])}},p5._restoreKey=function(){return"p5.restore:"+location.pathname+location.search},p5.connect=function(e,t){t=p5.extend({onpush:function(){},onerror:function(){},reconnect:2e3},t);var n={close:function(){n.closed=!0,clearTimeout(n.timer),n.ws&&n.ws.close(),n.src&&n.src.close()}},r=function(e){p5._push(e.data,t)},i=function(){n.ws=null,n.src=new EventSource(e),n.src.onmessage=r},a=function(){n.ws=new WebSocket(p5._wsUrl(e)),n.ws.onopen=function(){n.open=!0},n.ws.onmessage=r,n.ws.onclose=function(){n.closed||(n.open?n.timer=setTimeout(a,t.reconnect):i())}};return window.WebSocket?a():i(),n},p5._wsUrl=function(e){var t=document.createElement("a");return t.href=e,t.href.replace(/^http/,"ws")},p5._pushed=[],p5._push=function(e,t){var n;try{n=p5._parse(e)}catch(e){return void t.onerror(e)}p5._pushed.push({json:n,opt:t}),p5._idle()&&p5._flush()},p5._flush=function(){for(;p5._pushed.length>0&&p5._idle();){var e=p5._pushed.shift();e.opt.onpush(e.json),p5.$(document.body)._apply(e.json,!1,function(){},p5._pushFail(e.opt))}},p5._pushFail=function(e){return function(t){e.onerror("Couldn't load file; '"+t+"'")}},p5._including=0,p5._idle=function(){return!p5._busy()&&0===p5._leaving&&0===p5._including},p5._busy=function(){for(var e=0;e<p5._chain.length;e++)if(p5._chain[e].busy)return!0;return!1},p5._next=function(){if(!(p5._leaving>0)){p5._idle()&&p5._flush(),p5._persist();for(var e={},t=[],n=0;n<p5._chain.length;n++){var r=p5._chain[n];if(r.opt.exclusive&&n>0)break;if(e[r.opt.lane]||(e[r.opt.lane]=!0,t.push(r)),r.opt.exclusive)break}for(var i=0;i<t.length;i++)t[i].busy||-1===p5._chain.indexOf(t[i])||p5._send(t[i])}},p5._send=function(e){if(-1!==p5._chain.indexOf(e)){if(p5._offline&&!navigator.onLine)return e.busy=!1,void(p5._waiting=!0);var t=p5.$(e.el.el.id);t.el?(e.busy=!0,p5.batch&&p5._pack(e,t),t._r(e)):(p5._skip(p5._chain.splice(p5._chain.indexOf(e),1)),p5._next())}},p5.batch=!1,p5._pack=function(e,t){if(e.batch=null,!(e.opt.exclusive||e.opt.files||e.opt.parameters||e.pars)){for(var n=[],r=t._form().el,i=p5._chain.indexOf(e)+1;i<p5._chain.length;i++){var a=p5._chain[i];if(a.opt.exclusive)break;if(a.opt.lane===e.opt.lane){var o=p5.$(a.el.el.id);if(a.opt.files||a.opt.parameters||a.pars||!o.el||o._form().el!==r)break;a.busy=!0,n.push(a)}}n.length>0&&(e.batch=n)}},p5._unbatch=function(e){for(var t=e.batch||[],n=0;n<t.length;n++)t[n].busy=!1;e.batch=null},p5._init=function(){p5._bind(document.body),p5._offerRestore(),/[?&]p5-debug(=|&|$)/.test(location.search)&&document.querySelector("form[data-p5-debug]")&&p5.debug()},"loading"===document.readyState?document.addEventListener("DOMContentLoaded",p5._init):p5._init();
\ No newline at end of file
@@ -299,22 +299,21 @@ namespace p5.ajax.widgets
         {
             // Checking if this widget is a "select", and if so, loading its HTTP POST form data, if we should.
             if (Visible && AreAncestorsVisible () && Element == "select" && !string.IsNullOrEmpty (this ["name"]) &&
-                !HasAttribute ("disabled") && !string.IsNullOrEmpty (Page.Request.Form [this ["name"]])) {
+                !HasAttribute ("disabled") && !string.IsNullOrEmpty (AjaxPage.FormData [this ["name"]])) {
 
-                // Splitting up value of HTTP param on comma ",", to allow for "multiple" select widgets, with multiple selected "option" elements.
-                // Notice, to support having "option" elements with a "," as a part of their value, the value of an option element is URL decoded by
-                // the client, before transferred to server.
-                // Hence, we need to URL decode it, before we know which "option" item(s) was selected.
+                // Retrieving all values of HTTP param, to allow for "multiple" select widgets, with multiple selected "option" elements.
+                // Notice, the client sends one HTTP param for each selected "option" element, which allows "option" elements to have a "," 
+                // as a part of their value.
                 // Notice, this dilemma is actually quite more common than what you think, since the default "value" of an "option" element is its "innerValue".
                 // Also notce, that if we are unsuccessful of finding an "option" HTML widget as a child, matching the "value", we set
                 // the attribute ["value"] to the given HTTP POST parameter, since this allows us to dynamically populate an HTML select
                 // widget on the client side with "option" elements, and still retain the "selected" value on the server side.
                 bool found = false;
-                var splits = Page.Request.Form [this ["name"]].Split (',').Select (ix => Page.Server.UrlDecode (ix));
+                var values = AjaxPage.FormData.GetValues (this ["name"]);
                 foreach (Widget idxChildWidget in Controls) {
 
-                    // If currently iterated "option" widget's value is found in split result, then widget ise "selected", otherwise it's not.
-                    if (splits.Contains (idxChildWidget ["value"]) || idxChildWidget ["value"] == Page.Request.Form [this ["name"]]) {
+                    // If currently iterated "option" widget's value is found in values, then widget ise "selected", otherwise it's not.
+                    if (values.Contains (idxChildWidget ["value"])) {
                         found = true;
                         idxChildWidget.Attributes.SetAttributeFormData ("selected", null);
                     } else {
@@ -322,7 +321,7 @@ namespace p5.ajax.widgets
                     }
                 }
                 if (!found)
-                    this ["value"] = Page.Request.Form [this ["name"]];
+                    this ["value"] = AjaxPage.FormData [this ["name"]];
             }
         }
 
@@ -478,7 +477,7 @@ namespace p5.ajax.widgets
 
             // Render start of opening tag, before we render all attributes.
             writer.Write (@"<{0} id=""{1}""", Element, ClientID);
-            Attributes.Render (writer);
+            Attributes.Render (writer, AjaxPage);
             writer.Write (">");
 
             // No need to invoke our own override, since we know anyways we're rendering pure HTML.
@@ -143,7 +143,7 @@ namespace p5.ajax.widgets
 
             // Render start of opening tag, before we render all attributes.
             writer.Write (@"<{0} id=""{1}""", Element, ClientID);
-            Attributes.Render (writer);
+            Attributes.Render (writer, AjaxPage);
             writer.Write (">");
             writer.Write (innerValue);
             writer.Write ("</{0}>", Element);
@@ -199,7 +199,7 @@ namespace p5.ajax.widgets
         {
             // Checking if this widget is a "textarea", and if so, loading its HTTP POST form data, if we should.
             if (Visible && AreAncestorsVisible () && Element == "textarea" && !string.IsNullOrEmpty (this ["name"]) && !HasAttribute ("disabled")) {
-                var data = Page.Request.Form [this ["name"]];
+                var data = AjaxPage.FormData [this ["name"]];
 
                 // Making sure Carriage Returns are in "uniform way", which implies having all \n become \r\n - CR+LF that is.
                 if (data != null)
@@ -73,7 +73,7 @@ namespace p5.ajax.widgets
 
             // Render start of opening tag, before we render all attributes.
             writer.Write (@"<{0} id=""{1}""", Element, ClientID);
-            Attributes.Render (writer);
+            Attributes.Render (writer, AjaxPage);
             writer.Write (" />");
         }
 
@@ -126,27 +126,28 @@ namespace p5.ajax.widgets
                 case "checkbox":
 
                     // Notice, both checkboxes and radio buttons can be "grouped", by making them have the same "name" attribute value.
-                    // If they do, they will be serialized as one HTTP POST parameter, with each checked element's value, separated by comma.
-                    // Also here, we apply the same "trick" to allow for "value"s of these widgets to contains "," 
-                    // as we do in the Container widget for an "option" element.
-                    var val = Page.Request.Form [this ["name"]];
-                    if (string.IsNullOrEmpty (val)) {
+                    // If they do, they will be serialized as one HTTP POST parameter for each checked element, which is why we retrieve all values.
+                    var values = AjaxPage.FormData.GetValues (this ["name"]);
+                    if (values == null || values.Length == 0) {
 
                         // Definitely unchcked!
                         Attributes.DeleteAttribute ("checked", false);
 
                     } else {
-                        var splits = val.Split (',');
-                        if (splits.Length == 1 && splits [0] == "on")
+                        if (values.Length == 1 && values [0] == "on")
                             Attributes.SetAttributeFormData ("checked", null);
-                        else if (splits.Any (ix => Page.Server.UrlDecode (ix) == this ["value"]))
+                        else if (values.Any (ix => ix == this ["value"]))
                             Attributes.SetAttributeFormData ("checked", null);
                         else
                             Attributes.DeleteAttribute ("checked", false);
                     }
                     break;
+                case "file":
+
+                    // Files are never kept as attributes, but can be retrieved through "Page.Request.Files" in your event handlers.
+                    break;
                 default:
-                    Attributes.SetAttributeFormData ("value", Page.Request.Form [this ["name"]]);
+                    Attributes.SetAttributeFormData ("value", AjaxPage.FormData [this ["name"]]);
                     break;
                 }
             }
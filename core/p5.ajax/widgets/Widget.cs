@@ -434,18 +434,18 @@ namespace p5.ajax.widgets
         /// <param name="e">EventArgs</param>
         protected override void OnLoad (EventArgs e)
         {
-            // Making sure we load POST FORM data.
-            if (Page.IsPostBack)
+            // Making sure we load POST FORM data, unless it was changed by an earlier event in the same batch of Ajax events.
+            if (Page.IsPostBack && !AjaxPage.IsStaleFormData (this ["name"]))
                 LoadFormData ();
 
             // Making sure event handlers are being raised, before we call base.
             if (AjaxPage.IsAjaxRequest) {
 
                 // Checking if current widget was the one creating this Ajax request, and if so, making sure we raise the event that was raised client-side.
-                if (Page.Request.Params ["_p5_widget"] == ClientID) {
+                if (AjaxPage.EventWidget == ClientID) {
 
                     // Making sure we raise our event, after page is finished loading.
-                    Page.LoadComplete += delegate { InvokeEventHandler (Page.Request.Params ["_p5_event"]); };
+                    Page.LoadComplete += delegate { InvokeEventHandler (AjaxPage.EventName); };
                 }
             }
             base.OnLoad (e);
@@ -478,6 +478,12 @@ namespace p5.ajax.widgets
         /// <returns>The view state.</returns>
         protected override object SaveViewState ()
         {
+            // Making sure later events in the same batch of Ajax events don't overwrite form data changed during this event.
+            if (Attributes.ChangedThisRequest ("value", "checked", "innerValue"))
+                AjaxPage.RegisterChangedFormData (this ["name"]);
+            else if (Attributes.ChangedThisRequest ("selected") && Parent is Widget)
+                AjaxPage.RegisterChangedFormData ((Parent as Widget) ["name"]);
+
             var retVal = new object [3];
             retVal [0] = base.SaveViewState ();
             retVal [1] = Attributes.SaveToViewState (this);
@@ -22,8 +22,10 @@
  */
 
 using System.Web;
+using System.Collections.Specialized;
 using p5.exp;
 using p5.core;
+using p5.ajax.core;
 
 namespace p5.web.ui.request
 {
@@ -40,7 +42,7 @@ namespace p5.web.ui.request
         [ActiveEvent (Name = "p5.web.post.get")]
         public static void p5_web_post_get (ApplicationContext context, ActiveEventArgs e)
         {
-            XUtil.Get (context, e.Args, key => HttpContext.Current.Request.Form [key]);
+            XUtil.Get (context, e.Args, key => FormData [key]);
         }
 
         /// <summary>
@@ -51,7 +53,17 @@ namespace p5.web.ui.request
         [ActiveEvent (Name = "p5.web.post.list")]
         public static void p5_web_post_list (ApplicationContext context, ActiveEventArgs e)
         {
-            XUtil.List (context, e.Args, HttpContext.Current.Request.Form.AllKeys);
+            XUtil.List (context, e.Args, FormData.AllKeys);
+        }
+
+        /*
+         * Returns the form data of the current request, which for an AjaxPage includes fields the client did not post, because they didn't change.
+         */
+        static NameValueCollection FormData {
+            get {
+                var page = HttpContext.Current.Handler as AjaxPage;
+                return page != null ? page.FormData : HttpContext.Current.Request.Form;
+            }
         }
     }
 }
@@ -22,6 +22,7 @@
  */
 
 using System;
+using System.Linq;
 using System.Collections.Generic;
 using System.Threading;
 using p5.ajax.core;
@@ -32,6 +33,13 @@ namespace p5.samples
 
     public class UnitTests : AjaxPage
     {
+        protected p5.Void sandbox_invoke_batch_input;
+        protected p5.Container sandbox_invoke_select_server;
+        protected p5.Void sandbox_invoke_morph_input;
+        protected p5.Literal sandbox_invoke_morph_remove;
+        protected p5.Literal sandbox_invoke_details_result;
+        protected p5.Literal sandbox_invoke_transition_leave_child;
+
         [WebMethod]
         protected void sandbox_invoke_empty_onclick (p5.Literal literal, EventArgs e)
         {
@@ -61,6 +69,55 @@ namespace p5.samples
             literal.innerValue = Page.Request.Params ["mumbo"] + " jumbo";
         }
 
+        [WebMethod]
+        protected void sandbox_invoke_parameters_onclick (p5.Literal literal, EventArgs e)
+        {
+            literal.innerValue = Page.Request.Params ["mumbo"] + " " + Page.Request.Params ["jumbo"];
+        }
+
+        [WebMethod]
+        protected void sandbox_invoke_include_error_onclick (p5.Literal literal, EventArgs e)
+        {
+            IncludeJavaScriptFile ("media/does-not-exist.js");
+        }
+
+        [WebMethod]
+        protected void sandbox_invoke_include_error_verify_onclick (p5.Literal literal, EventArgs e)
+        {
+            literal.innerValue = "verified";
+        }
+
+        [WebMethod]
+        protected void sandbox_invoke_batch_onclick (p5.Literal literal, EventArgs e) { }
+
+        [WebMethod]
+        protected void sandbox_invoke_batch_input_onclick (p5.Void input, EventArgs e)
+        {
+            input ["value"] = "changed";
+        }
+
+        [WebMethod]
+        protected void sandbox_invoke_batch_verify_onclick (p5.Literal literal, EventArgs e)
+        {
+            literal.innerValue = sandbox_invoke_batch_input ["value"];
+        }
+
+        [WebMethod]
+        protected void sandbox_invoke_select_server_onclick (p5.Literal literal, EventArgs e)
+        {
+            var selected = sandbox_invoke_select_server.Controls.OfType<p5.Literal> ().Where (ix => ix.HasAttribute ("selected"));
+            literal.innerValue = string.Join ("|", selected.Select (ix => ix ["value"]));
+        }
+
+        [WebMethod]
+        protected void sandbox_invoke_optimistic_onclick (p5.Void widget, EventArgs e) { }
+
+        [WebMethod]
+        protected void sandbox_invoke_async_onclick (p5.Literal literal, EventArgs e)
+        {
+            literal.innerValue += "x";
+        }
+
         [WebMethod]
         protected void sandbox_invoke_change_content_onclick (p5.Literal literal, EventArgs e)
         {
@@ -327,5 +384,115 @@ namespace p5.samples
             if (((p5.Literal)container.Controls [2].Controls [1].Controls [2]).Element != "em")
                 throw new ApplicationException ("control element not correct on postback");
         }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_slow_onclick (p5.Literal literal, EventArgs e)
+        {
+            Thread.Sleep (1000);
+        }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_retry_onclick (p5.Literal literal, EventArgs e)
+        {
+            // Failing with the posted "status" the first "fail" times the request with the posted "id" is sent.
+            var key = "sandbox_invoke_retry_" + Page.Request.Params ["id"];
+            var tries = (int)(Session [key] ?? 0) + 1;
+            Session [key] = tries;
+            literal.innerValue = tries.ToString ();
+            if (tries <= int.Parse (Page.Request.Params ["fail"])) {
+                if (Page.Request.Params ["status"] == "429")
+                    Response.AppendHeader ("Retry-After", "1");
+                Response.StatusCode = int.Parse (Page.Request.Params ["status"]);
+            }
+        }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_offline_onclick (p5.Literal literal, EventArgs e)
+        {
+            literal.innerValue += Page.Request.Params ["value"];
+        }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_protocol_unknown_onclick (p5.Literal literal, EventArgs e)
+        {
+            literal.innerValue = "changed";
+            SendObject ("__p5_unknown", "not a part of the protocol");
+        }
+
+        [WebMethod]
+        protected void sandbox_invoke_protocol_type_onclick (p5.Literal literal, EventArgs e)
+        {
+            literal.innerValue = "changed";
+            SendObject ("__p5_css_files", "not an array");
+        }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_upload_onclick (p5.Literal literal, EventArgs e)
+        {
+            var files = new List<string> ();
+            for (var idx = 0; idx < Request.Files.Count; idx++) {
+                if (Request.Files [idx].ContentLength > 0)
+                    files.Add (Request.Files.AllKeys [idx] + "=" + Request.Files [idx].FileName + ":" + Request.Files [idx].ContentLength);
+            }
+            literal.innerValue = string.Join (",", files);
+        }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_hooks_onclick (p5.Literal literal, EventArgs e)
+        {
+            literal.innerValue = Request.Headers ["X-Hooked"] + "|" + Page.Request.Params ["hooked"];
+        }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_morph_onclick (p5.Container container, EventArgs e)
+        {
+            // Hiding and showing container, to make sure it is entirely re-rendered.
+            container.Visible = false;
+            container.Visible = true;
+            sandbox_invoke_morph_input ["value"] = "server";
+            container.RemoveControlPersistent (sandbox_invoke_morph_remove);
+            var literal = container.CreatePersistentControl<p5.Literal> ("sandbox_invoke_morph_added");
+            literal.Element = "p";
+            literal.innerValue = "added";
+        }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_snapshot_onclick (p5.Container container, EventArgs e)
+        {
+            // Hiding and showing container, to make sure it is entirely re-rendered.
+            container.Visible = false;
+            container.Visible = true;
+        }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_details_onclick (p5.Container container, EventArgs e)
+        {
+            sandbox_invoke_details_result.innerValue = string.Join ("|", EventDetails.OrderBy (ix => ix.Key).Select (ix => ix.Key + "=" + ix.Value));
+        }
+    
+
+        [WebMethod]
+        protected void sandbox_invoke_transition_leave_onclick (p5.Container container, EventArgs e)
+        {
+            container.RemoveControlPersistent (sandbox_invoke_transition_leave_child);
+        }
+
+        [WebMethod]
+        protected void sandbox_invoke_transition_enter_onclick (p5.Container container, EventArgs e)
+        {
+            var literal = container.CreatePersistentControl<p5.Literal> ("sandbox_invoke_transition_enter_added");
+            literal.Element = "p";
+            literal ["style"] = "transition:opacity 5s";
+            literal.innerValue = "enter";
+        }
     }
 }
\ No newline at end of file
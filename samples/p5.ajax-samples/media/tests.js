@@ -63,23 +63,185 @@ tests.countMembers = function(obj) {
 
 
 /*
- * runs all unit tests
+ * stored such that tests replacing 'window.setTimeout' with fake timers doesn't stop the test runner
+ */
+tests.setTimeout = window.setTimeout;
+
+
+/*
+ * replaces XMLHttpRequest with a fake responding to all requests with the given status and text, 
+ * returning a function that restores the original XMLHttpRequest
+ */
+tests.fakeXhr = function(status, text) {
+  var original = window.XMLHttpRequest;
+  window.XMLHttpRequest = function() {
+    var xhr = this;
+    xhr.readyState = 0;
+    xhr.upload = {};
+    xhr.open = function(method, url) {};
+    xhr.setRequestHeader = function(name, value) {};
+    xhr.getResponseHeader = function(name) { return null; };
+    xhr.abort = function() {};
+    xhr.send = function(body) {
+      tests.setTimeout.call(window, function() {
+        xhr.readyState = 4;
+        xhr.status = status;
+        xhr.statusText = 'Fake';
+        xhr.responseText = text;
+        xhr.onreadystatechange();
+      }, 10);
+    };
+  };
+  return function() {
+    window.XMLHttpRequest = original;
+  };
+};
+
+
+/*
+ * runs all unit tests, one at a time, since some tests changes global state, such as hooks, or aborts all requests
  */
 tests.run_all = function(id) {
+  var ids = [];
   var els = document.getElementsByTagName('input');
   for (var idx = 0; idx < els.length; idx++) {
     if (els[idx].id.indexOf('invoke') == 0 && els[idx].className == 'undetermined') {
       // this is a unit test
-      try {
-      tests[els[idx].id]();
-      } catch (err) {
-        // do nothing, handled in 'onerror' handlers
+      ids.push(els[idx].id);
+    }
+  }
+  tests.run_next(ids);
+};
+
+
+/*
+ * replaces 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval' and 'Date' with fake timers, where time only passes 
+ * as 'tick' is invoked with a number of milliseconds, returning an object with 'tick', and 'restore' which restores the 
+ * original timers
+ */
+tests.fakeTimers = function() {
+  var original = {
+    setTimeout: window.setTimeout,
+    clearTimeout: window.clearTimeout,
+    setInterval: window.setInterval,
+    clearInterval: window.clearInterval,
+    Date: window.Date
+  };
+  var now = new Date().getTime();
+  var timers = [];
+  var id = 0;
+  window.setTimeout = function(fn, ms) {
+    timers.push({id: ++id, at: now + (ms || 0), fn: fn});
+    return id;
+  };
+  window.clearTimeout = function(timer) {
+    timers = timers.filter(function(cur) {
+      return cur.id !== timer;
+    });
+  };
+  window.setInterval = function(fn, ms) {
+    timers.push({id: ++id, at: now + ms, every: ms, fn: fn});
+    return id;
+  };
+  window.clearInterval = window.clearTimeout;
+  window.Date = function() {
+    return new original.Date(now);
+  };
+  window.Date.parse = original.Date.parse;
+  return {
+    tick: function(ms) {
+      var end = now + ms;
+      while (true) {
+        var next = null;
+        for (var idx = 0; idx < timers.length; idx++) {
+          if (timers[idx].at <= end && (!next || timers[idx].at < next.at)) {
+            next = timers[idx];
+          }
+        }
+        if (!next) {
+          break;
+        }
+        timers.splice(timers.indexOf(next), 1);
+        now = next.at;
+        if (next.every) {
+          timers.push({id: next.id, at: now + next.every, every: next.every, fn: next.fn});
+        }
+        next.fn();
       }
+      now = end;
+    },
+
+    restore: function() {
+      window.setTimeout = original.setTimeout;
+      window.clearTimeout = original.clearTimeout;
+      window.setInterval = original.setInterval;
+      window.clearInterval = original.clearInterval;
+      window.Date = original.Date;
+    }
+  };
+};
+
+
+/*
+ * returns a 'p5.el' for the input used by the trigger modifier tests, where requests that are actually raised after the trigger 
+ * modifiers are applied, are not sent, but the value of their 'value' parameter is added to 'fired'
+ */
+tests.triggerInput = function(fired) {
+  var el = p5.$('sandbox_invoke_trigger');
+  var raise = el.raise;
+  el.raise = function(evt, opt) {
+    if (opt.trigger) {
+      return raise.apply(this, arguments);
+    }
+    fired.push(opt.parameters.value);
+    return opt._req;
+  };
+  return el;
+};
+
+
+/*
+ * binds the buttons of all unit tests, used by pages rendered for a Content-Security-Policy, where inline event handlers are blocked
+ */
+tests.bind = function() {
+  var els = document.getElementsByTagName('input');
+  for (var idx = 0; idx < els.length; idx++) {
+    if (els[idx].id == 'run_all' || els[idx].id.indexOf('invoke') == 0) {
+      els[idx].addEventListener('click', tests[els[idx].id]);
     }
   }
 };
 
 
+/*
+ * runs the first test in the given list, and the rest of them once it has either failed or succeeded,
+ * failing it if it has not finished within 10 seconds
+ */
+tests.run_next = function(ids) {
+  if (ids.length == 0) {
+    return;
+  }
+  var id = ids.shift();
+  try {
+    tests[id]();
+  } catch (err) {
+    // do nothing, handled in 'onerror' handlers
+  }
+  var started = new Date().getTime();
+  var poll = function() {
+    if (p5.$(id).el.className == 'undetermined') {
+      if (new Date().getTime() - started < 10000) {
+        tests.setTimeout.call(window, poll, 50);
+        return;
+      }
+      tests.setError(id);
+    }
+    tests.run_next(ids);
+  };
+  poll();
+};
+
+
 /*
  * invokes an empty event handler, asserting it returns nothing
  */
@@ -276,6 +438,431 @@ tests.invoke_javascript = function(event) {
 };
 
 
+/*
+ * invokes an event handler with custom parameters, asserting objects are serialized as JSON
+ */
+tests.invoke_parameters = function(event) {
+  var el = p5.$('sandbox_invoke_parameters');
+  el.raise('sandbox_invoke_parameters_onclick', {
+    parameters: {mumbo: 'mumbo', jumbo: {x: [1, 2]}, nothing: null},
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_parameters');
+    },
+
+    onsuccess: function(serverReturn, evt) {
+      if (serverReturn.__p5_change.sandbox_invoke_parameters.innerValue != 'mumbo {"x":[1,2]}') {
+        tests.setError('invoke_parameters');
+        return;
+      }
+      tests.setSuccess('invoke_parameters');
+    }
+  });
+};
+
+
+/*
+ * chains multiple requests using raiseAsync, asserting DOM is updated before next request is raised
+ */
+tests.invoke_async = function(event) {
+  var el = p5.$('sandbox_invoke_async');
+  el.raiseAsync('onclick').then(function(serverReturn) {
+    if (serverReturn.__p5_change.sandbox_invoke_async.innerValue != 'x' || el.el.innerHTML != 'x') {
+      throw 'wrong value';
+    }
+    return el.raiseAsync('onclick');
+  }).then(function(serverReturn) {
+    if (serverReturn.__p5_change.sandbox_invoke_async.innerValue != 'xx' || el.el.innerHTML != 'xx') {
+      throw 'wrong value';
+    }
+    tests.setSuccess('invoke_async');
+  }).catch(function(err) {
+    tests.setError('invoke_async');
+  });
+};
+
+
+/*
+ * invokes an event handler that throws an exception using raiseAsync, asserting Promise is rejected
+ */
+tests.invoke_async_exception = function(event) {
+  var el = p5.$('sandbox_invoke_exception');
+  el.raiseAsync('sandbox_invoke_exception_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      return true;
+    }
+  }).then(function(serverReturn) {
+    tests.setError('invoke_async_exception');
+  }).catch(function(err) {
+    if (err.statusCode != 500 || err.evt != 'sandbox_invoke_exception_onclick') {
+      tests.setError('invoke_async_exception');
+    } else {
+      tests.setSuccess('invoke_async_exception');
+    }
+  });
+};
+
+
+/*
+ * serializes the given form 'html' with the button having the id of 'submitter', returning the result as JSON
+ */
+tests.serializeForm = function(html, submitter) {
+  var div = document.createElement('div');
+  div.innerHTML = '<form id="serialize_form">' + html + '</form>';
+  document.body.appendChild(div);
+  var result = JSON.stringify(p5.$('serialize_form').serialize(document.getElementById(submitter)));
+  document.body.removeChild(div);
+  return result;
+};
+
+
+/*
+ * serializes a multiple select, asserting each selected option is serialized as its own value
+ */
+tests.invoke_serialize_select = function(event) {
+  var result = tests.serializeForm(
+    '<select name="sel" multiple>' +
+    '<option value="a,b" selected>x</option><option value="c">y</option><option selected>text</option>' +
+    '<option value="d" selected disabled>z</option><optgroup disabled><option value="e" selected>e</option></optgroup>' +
+    '</select><select name="none" multiple><option value="x">x</option></select>' +
+    '<select name="single"><option value="1">1</option><option value="2">2</option></select>');
+  if (result != JSON.stringify([['sel', 'a,b'], ['sel', 'text'], ['single', '1']])) {
+    tests.setError('invoke_serialize_select');
+  } else {
+    tests.setSuccess('invoke_serialize_select');
+  }
+};
+
+
+/*
+ * serializes radio buttons and checkboxes, asserting only checked elements are serialized
+ */
+tests.invoke_serialize_radio = function(event) {
+  var result = tests.serializeForm(
+    '<input type="radio" name="r" value="1"><input type="radio" name="r" value="2" checked><input type="radio" name="r" value="3">' +
+    '<input type="radio" name="r2" value="1">' +
+    '<input type="checkbox" name="c" value="1" checked><input type="checkbox" name="c" value="2"><input type="checkbox" name="c" value="3" checked>' +
+    '<input type="checkbox" name="on" checked>');
+  if (result != JSON.stringify([['r', '2'], ['c', '1'], ['c', '3'], ['on', 'on']])) {
+    tests.setError('invoke_serialize_radio');
+  } else {
+    tests.setSuccess('invoke_serialize_radio');
+  }
+};
+
+
+/*
+ * serializes disabled elements, asserting they're never serialized, except inside the first legend of a disabled fieldset
+ */
+tests.invoke_serialize_disabled = function(event) {
+  var result = tests.serializeForm(
+    '<input name="a" value="1" disabled><textarea name="b" disabled>x</textarea><select name="c" disabled><option>x</option></select>' +
+    '<input type="checkbox" name="d" checked disabled>' +
+    '<fieldset disabled><legend><input name="e" value="1"></legend><legend><input name="f" value="1"></legend>' +
+    '<fieldset><input name="g" value="1"></fieldset></fieldset>' +
+    '<fieldset><input name="h" value="1"></fieldset>');
+  if (result != JSON.stringify([['e', '1'], ['h', '1']])) {
+    tests.setError('invoke_serialize_disabled');
+  } else {
+    tests.setSuccess('invoke_serialize_disabled');
+  }
+};
+
+
+/*
+ * serializes file inputs, asserting an input with no files is serialized as an empty value, and each selected file as a File
+ */
+tests.invoke_serialize_file = function(event) {
+  var div = document.createElement('div');
+  div.innerHTML = '<form id="serialize_form"><input type="file" name="empty"><input type="file" name="files" multiple></form>';
+  document.body.appendChild(div);
+  try {
+    var transfer = new DataTransfer();
+    transfer.items.add(new File(['foo'], 'foo.txt'));
+    transfer.items.add(new File(['bar'], 'bar.txt'));
+    div.getElementsByTagName('input')[1].files = transfer.files;
+    var result = p5.$('serialize_form').serialize();
+  } finally {
+    document.body.removeChild(div);
+  }
+  if (result.length != 3 || result[0][0] != 'empty' || result[0][1] !== '' ||
+    !(result[1][1] instanceof File) || result[1][1].name != 'foo.txt' || result[2][1].name != 'bar.txt') {
+    tests.setError('invoke_serialize_file');
+  } else {
+    tests.setSuccess('invoke_serialize_file');
+  }
+};
+
+
+/*
+ * serializes a form with several buttons, asserting only the submit button submitting the form is serialized
+ */
+tests.invoke_serialize_submitter = function(event) {
+  var html = '<button id="serialize_a" name="a" value="1">a</button><button id="serialize_b" type="button" name="b" value="1">b</button>' +
+    '<input id="serialize_c" type="submit" name="c" value="1"><button name="d" value="1">d</button>';
+  if (tests.serializeForm(html, 'serialize_a') != JSON.stringify([['a', '1']]) ||
+    tests.serializeForm(html, 'serialize_b') != JSON.stringify([]) ||
+    tests.serializeForm(html, 'serialize_c') != JSON.stringify([['c', '1']]) ||
+    tests.serializeForm(html) != JSON.stringify([])) {
+    tests.setError('invoke_serialize_submitter');
+  } else {
+    tests.setSuccess('invoke_serialize_submitter');
+  }
+};
+
+
+/*
+ * serializes a form having fields associated with it through their form attribute, both from outside of it and from
+ * another form, asserting only fields belonging to the form are serialized, in document order
+ */
+tests.invoke_serialize_form_attribute = function(event) {
+  var div = document.createElement('div');
+  div.innerHTML = '<input name="before" form="serialize_form" value="1">' +
+    '<form id="serialize_form"><input name="inside" value="2"><input name="elsewhere" form="serialize_other" value="3">' +
+    '<input name="missing" form="serialize_missing" value="4"></form>' +
+    '<form id="serialize_other"><input name="nested" form="serialize_form" value="5"></form>' +
+    '<select name="after" form="serialize_form"><option value="6" selected>6</option></select>' +
+    '<button id="serialize_outside" name="submitter" value="7" form="serialize_form">x</button>';
+  document.body.appendChild(div);
+  var result = JSON.stringify(p5.$('serialize_form').serialize(document.getElementById('serialize_outside')));
+  var other = JSON.stringify(p5.$('serialize_other').serialize());
+  document.body.removeChild(div);
+  if (result != JSON.stringify([['before', '1'], ['inside', '2'], ['nested', '5'], ['after', '6'], ['submitter', '7']]) ||
+    other != JSON.stringify([['elsewhere', '3']])) {
+    tests.setError('invoke_serialize_form_attribute');
+  } else {
+    tests.setSuccess('invoke_serialize_form_attribute');
+  }
+};
+
+
+/*
+ * serializes a form with reset, button and image inputs, and reset and button buttons, asserting none of them are
+ * serialized, not even when given as submitter
+ */
+tests.invoke_serialize_excluded = function(event) {
+  var html = '<input name="txt" value="1"><input id="serialize_reset" type="reset" name="reset" value="1">' +
+    '<input id="serialize_button" type="button" name="button" value="1">' +
+    '<input id="serialize_image" type="image" name="image" value="1" alt="x">' +
+    '<button id="serialize_reset_btn" type="reset" name="reset_btn" value="1">x</button>' +
+    '<button id="serialize_button_btn" type="button" name="button_btn" value="1">x</button>';
+  var expected = JSON.stringify([['txt', '1']]);
+  var ids = ['serialize_reset', 'serialize_button', 'serialize_image', 'serialize_reset_btn', 'serialize_button_btn'];
+  var ok = tests.serializeForm(html) == expected;
+  for (var idx = 0; idx < ids.length; idx++) {
+    ok = ok && tests.serializeForm(html, ids[idx]) == expected;
+  }
+  if (!ok) {
+    tests.setError('invoke_serialize_excluded');
+  } else {
+    tests.setSuccess('invoke_serialize_excluded');
+  }
+};
+
+
+/*
+ * serializes a textarea whose value is changed to contain LF, CRLF and lone CR line breaks, and a textarea with line
+ * breaks in its markup, asserting every line break is serialized as CRLF
+ */
+tests.invoke_serialize_textarea = function(event) {
+  var div = document.createElement('div');
+  div.innerHTML = '<form id="serialize_form"><textarea id="serialize_area" name="area"></textarea>' +
+    '<textarea name="markup">x\n\ny\n</textarea></form>';
+  document.body.appendChild(div);
+  document.getElementById('serialize_area').value = 'a\nb\r\nc\rd\n';
+  var result = JSON.stringify(p5.$('serialize_form').serialize());
+  document.body.removeChild(div);
+  if (result != JSON.stringify([['area', 'a\r\nb\r\nc\r\nd\r\n'], ['markup', 'x\r\n\r\ny\r\n']])) {
+    tests.setError('invoke_serialize_textarea');
+  } else {
+    tests.setSuccess('invoke_serialize_textarea');
+  }
+};
+
+
+/*
+ * selects two options of a multiple select, one of them having a comma in its value, asserting the server selects the same options
+ */
+tests.invoke_select_server = function(event) {
+  var sel = p5.$('sandbox_invoke_select_server').el;
+  sel.options[0].selected = true;
+  sel.options[1].selected = true;
+  sel.options[2].selected = false;
+  var el = p5.$('sandbox_invoke_select_server_result');
+  el.raise('sandbox_invoke_select_server_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_select_server');
+    },
+
+    ondone: function(serverReturn, evt) {
+      if (el.el.innerHTML != '1,2|3') {
+        tests.setError('invoke_select_server');
+        return;
+      }
+      tests.setSuccess('invoke_select_server');
+    }
+  });
+};
+
+
+/*
+ * includes a JavaScript file that doesn't exist, asserting error is reported, and that the next request is sent
+ */
+tests.invoke_include_error = function(event) {
+  var el = p5.$('sandbox_invoke_include_error');
+  var failed = false;
+  el.raise('sandbox_invoke_include_error_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      failed = statusCode == p5.status.include && statusText.indexOf('does-not-exist.js') != -1;
+      return true;
+    },
+
+    ondone: function(serverReturn, evt) {
+      tests.setError('invoke_include_error');
+    }
+  });
+  el.raise('sandbox_invoke_include_error_verify_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_include_error');
+    },
+
+    ondone: function(serverReturn, evt) {
+      if (!failed || el.el.innerHTML != 'verified') {
+        tests.setError('invoke_include_error');
+        return;
+      }
+      tests.setSuccess('invoke_include_error');
+    }
+  });
+};
+
+
+/*
+ * raises three requests in their own lane with batching turned on, such that the last two are sent as one batch, asserting 
+ * the value of an input changed by the first event in batch is not overwritten by the value posted as the second event is processed
+ */
+tests.invoke_batch = function(event) {
+  var el = p5.$('sandbox_invoke_batch');
+  var input = p5.$('sandbox_invoke_batch_input');
+  var batch = p5.batch;
+  input.el.value = 'posted';
+  p5.batch = true;
+  var onerror = function(statusCode, statusText, responseHtml, evt) {
+    p5.batch = batch;
+    tests.setError('invoke_batch');
+  };
+  el.raise('sandbox_invoke_batch_onclick', {lane: 'batch', onerror: onerror});
+  input.raise('sandbox_invoke_batch_input_onclick', {lane: 'batch', onerror: onerror});
+  el.raise('sandbox_invoke_batch_verify_onclick', {
+    lane: 'batch',
+    onerror: onerror,
+
+    ondone: function(serverReturn, evt) {
+      p5.batch = batch;
+      if (el.el.innerHTML != 'changed' || input.el.value != 'changed') {
+        tests.setError('invoke_batch');
+        return;
+      }
+      tests.setSuccess('invoke_batch');
+    }
+  });
+};
+
+
+/*
+ * raises a request with an optimistic change checking a checkbox, asserting it is checked immediately, 
+ * and that it is still checked after the request succeeds, since the server does not change it
+ */
+tests.invoke_optimistic = function(event) {
+  var el = p5.$('sandbox_invoke_optimistic');
+  el.el.checked = false;
+  el.raise('sandbox_invoke_optimistic_onclick', {
+    optimistic: {sandbox_invoke_optimistic: {checked: true}},
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_optimistic');
+    },
+
+    ondone: function(serverReturn, evt) {
+      if (!el.el.checked) {
+        tests.setError('invoke_optimistic');
+        return;
+      }
+      tests.setSuccess('invoke_optimistic');
+    }
+  });
+  if (!el.el.checked) {
+    tests.setError('invoke_optimistic');
+  }
+};
+
+
+/*
+ * changes an input, and raises two requests, asserting the input is not posted as the second request is raised, 
+ * since it did not change, but that the server still knows its value, since page is using delta form data
+ */
+tests.invoke_delta = function(event) {
+  var el = p5.$('sandbox_invoke_delta');
+  p5.$('sandbox_invoke_delta_input').el.value = 'delta';
+  var onerror = function(statusCode, statusText, responseHtml, evt) {
+    tests.setError('invoke_delta');
+  };
+  el.raise('sandbox_invoke_delta_onclick', {
+    onerror: onerror,
+
+    ondone: function(serverReturn, evt) {
+      el.raise('sandbox_invoke_delta_verify_onclick', {
+        onerror: onerror,
+
+        ondone: function(serverReturn, evt) {
+          if (el.el.innerHTML != 'delta|') {
+            tests.setError('invoke_delta');
+            return;
+          }
+          tests.setSuccess('invoke_delta');
+        }
+      });
+    }
+  });
+};
+
+
+/*
+ * serializes a form, asserting the result is the same as what a native submit would send
+ */
+tests.invoke_serialize = function(event) {
+  var div = document.createElement('div');
+  div.innerHTML = '<form id="serialize_form">' +
+    '<input name="txt" value="a b">' +
+    '<button id="serialize_btn" name="btn" value="x">x</button>' +
+    '<button name="btn2" value="y">y</button>' +
+    '<input type="reset" name="reset"><input type="button" name="button">' +
+    '<fieldset disabled><legend><input name="legend" value="1"></legend><input name="fieldset" value="1"></fieldset>' +
+    '<input type="checkbox" name="chk" value="a,b" checked>' +
+    '<select name="sel" multiple><option value="1,2" selected>x</option><option value="3" selected disabled>y</option></select>' +
+    '<textarea name="area">a\nb\nc</textarea>' +
+    '<input name="other" form="serialize_other" value="1">' +
+    '</form><input name="outside" form="serialize_form" value="1"><form id="serialize_other"></form>';
+  document.body.appendChild(div);
+  var result = JSON.stringify(p5.$('serialize_form').serialize(document.getElementById('serialize_btn')));
+  document.body.removeChild(div);
+  var expected = JSON.stringify([
+    ['txt', 'a b'],
+    ['btn', 'x'],
+    ['legend', '1'],
+    ['chk', 'a,b'],
+    ['sel', '1,2'],
+    ['area', 'a\r\nb\r\nc'],
+    ['outside', '1']
+  ]);
+  if (result != expected) {
+    tests.setError('invoke_serialize');
+  } else {
+    tests.setSuccess('invoke_serialize');
+  }
+};
+
+
 /*
  * invokes an event handler changing content of widget
  */
@@ -959,3 +1546,1557 @@ tests.invoke_add_similar = function(event) {
     }
   });
 };
+
+
+/*
+ * raises a request to a slow server event with a timeout, asserting request is aborted with the timeout status code
+ */
+tests.invoke_timeout = function(event) {
+  var el = p5.$('sandbox_invoke_slow');
+  el.raise('sandbox_invoke_slow_onclick', {
+    timeout: 200,
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      if (statusCode != p5.status.timeout) {
+        tests.setError('invoke_timeout');
+        return;
+      }
+      tests.setSuccess('invoke_timeout');
+      return true;
+    },
+
+    onsuccess: function(serverReturn, evt) {
+      tests.setError('invoke_timeout');
+    }
+  });
+};
+
+
+/*
+ * raises two requests, and aborts the first one after it has been sent, using the handle returned from raise, 
+ * asserting it is aborted with the abort status code, and that the second request is still sent
+ */
+tests.invoke_abort = function(event) {
+  var el = p5.$('sandbox_invoke_slow');
+  var aborted = false;
+  var req = el.raise('sandbox_invoke_slow_onclick', {
+    lane: 'abort',
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      aborted = statusCode == p5.status.abort;
+      return true;
+    },
+
+    onsuccess: function(serverReturn, evt) {
+      tests.setError('invoke_abort');
+    }
+  });
+  el.raise('sandbox_invoke_empty_onclick', {
+    lane: 'abort',
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_abort');
+    },
+
+    onsuccess: function(serverReturn, evt) {
+      if (!aborted) {
+        tests.setError('invoke_abort');
+        return;
+      }
+      tests.setSuccess('invoke_abort');
+    }
+  });
+  setTimeout(function() {
+    req.abort();
+  }, 100);
+};
+
+
+/*
+ * raises two requests, and aborts all requests, asserting both requests are aborted with the abort all status code, 
+ * the first while it is being sent, and the second while it is still queued
+ */
+tests.invoke_abort_all = function(event) {
+  var el = p5.$('sandbox_invoke_slow');
+  var statuses = [];
+  var onerror = function(statusCode, statusText, responseHtml, evt) {
+    statuses.push(statusCode);
+    return true;
+  };
+  var onsuccess = function(serverReturn, evt) {
+    tests.setError('invoke_abort_all');
+  };
+  el.raise('sandbox_invoke_slow_onclick', {onerror: onerror, onsuccess: onsuccess});
+  el.raise('sandbox_invoke_slow_onclick', {onerror: onerror, onsuccess: onsuccess});
+  setTimeout(function() {
+    p5.abortAll();
+    if (statuses.length != 2 || statuses[0] != p5.status.abortAll || statuses[1] != p5.status.abortAll || p5._chain.length != 0) {
+      tests.setError('invoke_abort_all');
+      return;
+    }
+    tests.setSuccess('invoke_abort_all');
+  }, 100);
+};
+
+
+/*
+ * raises a request failing once with a 503, asserting it is retried, and succeeds the second time
+ */
+tests.invoke_retry = function(event) {
+  var el = p5.$('sandbox_invoke_retry');
+  el.raise('sandbox_invoke_retry_onclick', {
+    retry: {count: 2, delay: 100},
+    parameters: {id: 'retry' + new Date().getTime(), fail: 1, status: 503},
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_retry');
+    },
+
+    ondone: function(serverReturn, evt) {
+      if (el.el.innerHTML != '2') {
+        tests.setError('invoke_retry');
+        return;
+      }
+      tests.setSuccess('invoke_retry');
+    }
+  });
+};
+
+
+/*
+ * raises a request failing once with a 429, and a Retry-After of 1 second, with a retry delay of 20 seconds, 
+ * asserting the request is retried after the number of seconds server asked for
+ */
+tests.invoke_retry_after = function(event) {
+  var el = p5.$('sandbox_invoke_retry');
+  var started = new Date().getTime();
+  el.raise('sandbox_invoke_retry_onclick', {
+    retry: {count: 1, delay: 20000, max: 20000},
+    parameters: {id: 'retry_after' + started, fail: 1, status: 429},
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_retry_after');
+    },
+
+    ondone: function(serverReturn, evt) {
+      var elapsed = new Date().getTime() - started;
+      if (el.el.innerHTML != '2' || elapsed < 1000 || elapsed > 5000) {
+        tests.setError('invoke_retry_after');
+        return;
+      }
+      tests.setSuccess('invoke_retry_after');
+    }
+  });
+};
+
+
+/*
+ * raises a request failing three times with a 503, with a retry count of 2, asserting the request is sent 
+ * three times, before 'onerror' is called with the status code of the last failure
+ */
+tests.invoke_retry_exhausted = function(event) {
+  var el = p5.$('sandbox_invoke_retry');
+  var sent = 0;
+  el.raise('sandbox_invoke_retry_onclick', {
+    retry: {count: 2, delay: 50},
+    parameters: {id: 'retry_exhausted' + new Date().getTime(), fail: 3, status: 503},
+
+    onbefore: function(pars, evt) {
+      sent += 1;
+    },
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      if (statusCode != 503 || sent != 3) {
+        tests.setError('invoke_retry_exhausted');
+        return true;
+      }
+      tests.setSuccess('invoke_retry_exhausted');
+      return true;
+    },
+
+    onsuccess: function(serverReturn, evt) {
+      tests.setError('invoke_retry_exhausted');
+    }
+  });
+};
+
+
+/*
+ * raises a request failing once with a 503, and another request after it, asserting the second request 
+ * is not sent before the first request has been retried, and succeeded
+ */
+tests.invoke_retry_order = function(event) {
+  var el = p5.$('sandbox_invoke_retry');
+  var order = [];
+  var onerror = function(statusCode, statusText, responseHtml, evt) {
+    tests.setError('invoke_retry_order');
+  };
+  el.raise('sandbox_invoke_retry_onclick', {
+    retry: {count: 1, delay: 100},
+    parameters: {id: 'retry_order' + new Date().getTime(), fail: 1, status: 503},
+    onerror: onerror,
+
+    onbefore: function(pars, evt) {
+      order.push('first');
+    }
+  });
+  el.raise('sandbox_invoke_retry_onclick', {
+    parameters: {id: 'retry_order_second' + new Date().getTime(), fail: 0, status: 503},
+    onerror: onerror,
+
+    onbefore: function(pars, evt) {
+      order.push('second');
+    },
+
+    ondone: function(serverReturn, evt) {
+      if (order.join(',') != 'first,first,second') {
+        tests.setError('invoke_retry_order');
+        return;
+      }
+      tests.setSuccess('invoke_retry_order');
+    }
+  });
+};
+
+
+/*
+ * raises three requests while the browser is offline, removing the element of the second request, asserting requests are 
+ * persisted in sessionStorage, and that the first and third request are sent in order when the connection returns
+ */
+tests.invoke_offline = function(event) {
+  var el = p5.$('sandbox_invoke_offline');
+  var offline = p5._offline;
+  var online = false;
+  Object.defineProperty(navigator, 'onLine', {configurable: true, get: function() { return online; }});
+  var restore = function() {
+    delete navigator.onLine;
+    p5._offline = offline;
+  };
+  p5.enableOffline();
+
+  // Creating an element that is removed before connection returns.
+  var removed = document.createElement('p');
+  removed.id = 'sandbox_invoke_offline_removed';
+  el.el.parentNode.appendChild(removed);
+
+  var onerror = function(statusCode, statusText, responseHtml, evt) {
+    restore();
+    tests.setError('invoke_offline');
+  };
+  el.el.innerHTML = '';
+  el.raise('sandbox_invoke_offline_onclick', {parameters: {value: 'a'}, onerror: onerror});
+  p5.$(removed.id).raise('sandbox_invoke_offline_onclick', {parameters: {value: 'b'}, onerror: onerror});
+  el.raise('sandbox_invoke_offline_onclick', {
+    parameters: {value: 'c'},
+    onerror: onerror,
+
+    ondone: function(serverReturn, evt) {
+      restore();
+      if (el.el.innerHTML != 'ac' || sessionStorage.getItem(p5._offlineKey()) != null) {
+        tests.setError('invoke_offline');
+        return;
+      }
+      tests.setSuccess('invoke_offline');
+    }
+  });
+  var stored = JSON.parse(sessionStorage.getItem(p5._offlineKey()) || '[]');
+  if (stored.length != 3 || stored[0].parameters.value != 'a' || stored[2].parameters.value != 'c') {
+    restore();
+    tests.setError('invoke_offline');
+    return;
+  }
+  removed.parentNode.removeChild(removed);
+  online = true;
+  window.dispatchEvent(new Event('online'));
+};
+
+
+/*
+ * raises a request returning JSON that is cut off in the middle, asserting 'onerror' is called with 
+ * the protocol status code, and that the change found before the JSON was cut off is not applied
+ */
+tests.invoke_protocol_json = function(event) {
+  var el = p5.$('sandbox_invoke_protocol');
+  var restore = tests.fakeXhr(200, '{"__p5_change":{"sandbox_invoke_protocol":{"innerValue":"changed"}}');
+  el.raise('sandbox_invoke_protocol_json_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      restore();
+      if (statusCode != p5.status.protocol || el.el.innerHTML != 'initial') {
+        tests.setError('invoke_protocol_json');
+        return true;
+      }
+      tests.setSuccess('invoke_protocol_json');
+      return true;
+    },
+
+    onsuccess: function(serverReturn, evt) {
+      restore();
+      tests.setError('invoke_protocol_json');
+    }
+  });
+};
+
+
+/*
+ * raises a request returning a key starting with '__p5_' which is not a part of the protocol, asserting 'onerror' 
+ * is called with the protocol status code, and that the change returned together with it is not applied
+ */
+tests.invoke_protocol_unknown = function(event) {
+  var el = p5.$('sandbox_invoke_protocol');
+  el.raise('sandbox_invoke_protocol_unknown_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      if (statusCode != p5.status.protocol || responseHtml.indexOf('__p5_unknown') == -1 || el.el.innerHTML != 'initial') {
+        tests.setError('invoke_protocol_unknown');
+        return true;
+      }
+      tests.setSuccess('invoke_protocol_unknown');
+      return true;
+    },
+
+    onsuccess: function(serverReturn, evt) {
+      tests.setError('invoke_protocol_unknown');
+    }
+  });
+};
+
+
+/*
+ * raises a request returning '__p5_css_files' as a string, asserting 'onerror' is called with 
+ * the protocol status code, and that the change returned together with it is not applied
+ */
+tests.invoke_protocol_type = function(event) {
+  var el = p5.$('sandbox_invoke_protocol');
+  el.raise('sandbox_invoke_protocol_type_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      if (statusCode != p5.status.protocol || responseHtml.indexOf('__p5_css_files') == -1 || el.el.innerHTML != 'initial') {
+        tests.setError('invoke_protocol_type');
+        return true;
+      }
+      tests.setSuccess('invoke_protocol_type');
+      return true;
+    },
+
+    onsuccess: function(serverReturn, evt) {
+      tests.setError('invoke_protocol_type');
+    }
+  });
+};
+
+
+/*
+ * asserts no elements on page have inline event handlers, and that the Ajax event of our widget is rendered as a 'data-p5-onclick' attribute
+ */
+tests.invoke_csp_attributes = function(event) {
+  var els = document.getElementsByTagName('*');
+  for (var idx = 0; idx < els.length; idx++) {
+    for (var idxAtr = 0; idxAtr < els[idx].attributes.length; idxAtr++) {
+      if (els[idx].attributes[idxAtr].name.indexOf('on') == 0) {
+        tests.setError('invoke_csp_attributes');
+        return;
+      }
+    }
+  }
+  if (p5.$('sandbox_invoke_csp_events').el.getAttribute('data-p5-onclick') != 'sandbox_invoke_csp_events_onclick') {
+    tests.setError('invoke_csp_attributes');
+    return;
+  }
+  tests.setSuccess('invoke_csp_attributes');
+};
+
+
+/*
+ * clicks a widget having its Ajax event rendered as a 'data-p5-onclick' attribute, asserting its event is raised on the server
+ */
+tests.invoke_csp_events = function(event) {
+  var el = p5.$('sandbox_invoke_csp_events');
+  var applied = function(req) {
+    if (req.el.el != el.el) {
+      return;
+    }
+    p5.off('applied', applied);
+    if (req.evt != 'onclick' || el.el.innerHTML != 'clicked') {
+      tests.setError('invoke_csp_events');
+      return;
+    }
+    tests.setSuccess('invoke_csp_events');
+  };
+  p5.on('applied', applied);
+  el.el.click();
+};
+
+
+/*
+ * raises a request where the server sends JavaScript, asserting it is evaluated by a script element carrying the page's nonce
+ */
+tests.invoke_csp_scripts = function(event) {
+  var el = p5.$('sandbox_invoke_csp_scripts');
+  tests.cspNonce = null;
+  el.raise('sandbox_invoke_csp_scripts_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_csp_scripts');
+    },
+
+    ondone: function(serverReturn, evt) {
+      if (!p5.nonce || tests.cspNonce != p5.nonce) {
+        tests.setError('invoke_csp_scripts');
+        return;
+      }
+      tests.setSuccess('invoke_csp_scripts');
+    }
+  });
+};
+
+
+/*
+ * selects a file in a file input, and raises a request, asserting the server sees the file's name and length
+ */
+tests.invoke_upload = function(event) {
+  var el = p5.$('sandbox_invoke_upload');
+  var input = document.getElementById('sandbox_invoke_upload_input');
+  var transfer = new DataTransfer();
+  transfer.items.add(new File(['hello world'], 'hello.txt', {type: 'text/plain'}));
+  input.files = transfer.files;
+  el.raise('sandbox_invoke_upload_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      input.value = '';
+      tests.setError('invoke_upload');
+    },
+
+    ondone: function(serverReturn, evt) {
+      input.value = '';
+      if (el.el.innerHTML != 'sandbox_invoke_upload_input=hello.txt:11') {
+        tests.setError('invoke_upload');
+        return;
+      }
+      tests.setSuccess('invoke_upload');
+    }
+  });
+};
+
+
+/*
+ * raises a request with two files supplied in its 'files' option, asserting the server sees both files
+ */
+tests.invoke_upload_multiple = function(event) {
+  var el = p5.$('sandbox_invoke_upload');
+  el.raise('sandbox_invoke_upload_onclick', {
+    files: {uploads: [new File(['a'], 'a.txt'), new File(['bb'], 'b.txt')]},
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_upload_multiple');
+    },
+
+    ondone: function(serverReturn, evt) {
+      if (el.el.innerHTML != 'uploads=a.txt:1,uploads=b.txt:2') {
+        tests.setError('invoke_upload_multiple');
+        return;
+      }
+      tests.setSuccess('invoke_upload_multiple');
+    }
+  });
+};
+
+
+/*
+ * uploads a file of 1MB, asserting 'onprogress' is invoked, with its last invocation having uploaded all bytes
+ */
+tests.invoke_upload_progress = function(event) {
+  var el = p5.$('sandbox_invoke_upload');
+  var progress = [];
+  el.raise('sandbox_invoke_upload_onclick', {
+    files: {upload: new File([new Uint8Array(1024 * 1024)], 'large.bin')},
+
+    onprogress: function(loaded, total, evt) {
+      progress.push([loaded, total]);
+    },
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_upload_progress');
+    },
+
+    ondone: function(serverReturn, evt) {
+      var last = progress[progress.length - 1];
+      if (!last || last[0] != last[1] || last[1] < 1024 * 1024 || el.el.innerHTML != 'upload=large.bin:1048576') {
+        tests.setError('invoke_upload_progress');
+        return;
+      }
+      tests.setSuccess('invoke_upload_progress');
+    }
+  });
+};
+
+
+/*
+ * registers all hooks, and raises a request that succeeds, followed by a request that fails, asserting hooks 
+ * and callbacks are invoked in the right order
+ */
+tests.invoke_hooks_order = function(event) {
+  var el = p5.$('sandbox_invoke_hooks');
+  var order = [];
+  var hooks = {};
+  var names = ['request', 'response', 'applied', 'error'];
+  for (var idx = 0; idx < names.length; idx++) {
+    hooks[names[idx]] = (function(name) {
+      return function(req) {
+        if (req.el.el == el.el) {
+          order.push(name);
+        }
+      };
+    })(names[idx]);
+    p5.on(names[idx], hooks[names[idx]]);
+  }
+  var done = function(success) {
+    for (var idxName in hooks) {
+      p5.off(idxName, hooks[idxName]);
+    }
+    if (!success || order.join(',') != 'request,response,onsuccess,applied,ondone,request,error,onerror') {
+      tests.setError('invoke_hooks_order');
+      return;
+    }
+    tests.setSuccess('invoke_hooks_order');
+  };
+  el.raise('sandbox_invoke_hooks_onclick', {
+    onsuccess: function(serverReturn, evt) {
+      order.push('onsuccess');
+    },
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      done(false);
+    },
+
+    ondone: function(serverReturn, evt) {
+      order.push('ondone');
+      el.raise('sandbox_invoke_exception_onclick', {
+        onerror: function(statusCode, statusText, responseHtml, evt) {
+          order.push('onerror');
+          done(true);
+          return true;
+        },
+
+        ondone: function(serverReturn, evt) {
+          done(false);
+        }
+      });
+    }
+  });
+};
+
+
+/*
+ * registers a request hook adding a header and a parameter, asserting both are seen by the server
+ */
+tests.invoke_hooks_rewrite = function(event) {
+  var el = p5.$('sandbox_invoke_hooks');
+  var hook = function(req) {
+    if (req.el.el == el.el) {
+      req.headers['X-Hooked'] = 'header';
+      req.pars.push(['hooked', 'parameter']);
+    }
+  };
+  p5.on('request', hook);
+  el.raise('sandbox_invoke_hooks_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      p5.off('request', hook);
+      tests.setError('invoke_hooks_rewrite');
+    },
+
+    ondone: function(serverReturn, evt) {
+      p5.off('request', hook);
+      if (el.el.innerHTML != 'header|parameter') {
+        tests.setError('invoke_hooks_rewrite');
+        return;
+      }
+      tests.setSuccess('invoke_hooks_rewrite');
+    }
+  });
+};
+
+
+/*
+ * registers a request hook returning false, asserting the request is vetoed, and never reaches the server
+ */
+tests.invoke_hooks_veto = function(event) {
+  var el = p5.$('sandbox_invoke_hooks');
+  var before = el.el.innerHTML;
+  var hook = function(req) {
+    return req.el.el != el.el;
+  };
+  p5.on('request', hook);
+  el.raise('sandbox_invoke_hooks_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      p5.off('request', hook);
+      if (statusCode != p5.status.veto || el.el.innerHTML != before) {
+        tests.setError('invoke_hooks_veto');
+        return true;
+      }
+      tests.setSuccess('invoke_hooks_veto');
+      return true;
+    },
+
+    onsuccess: function(serverReturn, evt) {
+      p5.off('request', hook);
+      tests.setError('invoke_hooks_veto');
+    }
+  });
+};
+
+
+/*
+ * types into an input inside a container, and raises a request re-rendering the container, with morphing turned on, 
+ * asserting the typed value and focus is kept, that children are kept, and that children are removed and added
+ */
+tests.invoke_morph = function(event) {
+  var el = p5.$('sandbox_invoke_morph');
+  var container = el.el;
+  var input = document.getElementById('sandbox_invoke_morph_input');
+  var keep = document.getElementById('sandbox_invoke_morph_keep');
+  var sandbox = document.getElementById('sandbox');
+
+  // Elements cannot have focus while they're hidden.
+  sandbox.style.display = 'block';
+  input.value = 'typed';
+  input.focus();
+  el.raise('sandbox_invoke_morph_onclick', {
+    morph: true,
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      sandbox.style.display = 'none';
+      tests.setError('invoke_morph');
+    },
+
+    ondone: function(serverReturn, evt) {
+      var added = document.getElementById('sandbox_invoke_morph_added');
+      var ok = serverReturn.__p5_change.sandbox_invoke_morph.outerHTML && 
+        document.getElementById('sandbox_invoke_morph') == container && 
+        document.getElementById('sandbox_invoke_morph_input') == input && 
+        document.getElementById('sandbox_invoke_morph_keep') == keep && 
+        input.value == 'typed' && document.activeElement == input && 
+        !document.getElementById('sandbox_invoke_morph_remove') && 
+        added && added.parentNode == container && added.innerHTML == 'added';
+      input.blur();
+      sandbox.style.display = 'none';
+      if (!ok) {
+        tests.setError('invoke_morph');
+        return;
+      }
+      tests.setSuccess('invoke_morph');
+    }
+  });
+};
+
+
+/*
+ * selects some text in an input inside a container, and scrolls another element inside of it, before raising a request 
+ * replacing the container, asserting focus, text selection, and scroll offset is restored
+ */
+tests.invoke_snapshot = function(event) {
+  var el = p5.$('sandbox_invoke_snapshot');
+  var container = el.el;
+  var input = document.getElementById('sandbox_invoke_snapshot_input');
+  var sandbox = document.getElementById('sandbox');
+
+  // Elements cannot have focus, nor be scrolled, while they're hidden.
+  sandbox.style.display = 'block';
+  input.value = 'hello world';
+  input.focus();
+  input.setSelectionRange(2, 5);
+  document.getElementById('sandbox_invoke_snapshot_scroll').scrollTop = 40;
+  el.raise('sandbox_invoke_snapshot_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      sandbox.style.display = 'none';
+      tests.setError('invoke_snapshot');
+    },
+
+    ondone: function(serverReturn, evt) {
+      var replaced = document.getElementById('sandbox_invoke_snapshot_input');
+      var ok = document.getElementById('sandbox_invoke_snapshot') != container && replaced != input && 
+        document.activeElement == replaced && replaced.selectionStart == 2 && replaced.selectionEnd == 5 && 
+        document.getElementById('sandbox_invoke_snapshot_scroll').scrollTop == 40;
+      replaced.blur();
+      sandbox.style.display = 'none';
+      if (!ok) {
+        tests.setError('invoke_snapshot');
+        return;
+      }
+      tests.setSuccess('invoke_snapshot');
+    }
+  });
+};
+
+
+/*
+ * connects to a fake WebSocket, and pushes two updates while a request is being processed, where the first update includes 
+ * a JavaScript file, asserting the first update is applied after the request is done, and the second after the file is included
+ */
+tests.invoke_push = function(event) {
+  var el = p5.$('sandbox_invoke_push');
+  var original = window.WebSocket;
+  var socket = null;
+  window.WebSocket = function(url) {
+    socket = this;
+    socket.close = function() {};
+  };
+  var done = false;
+  var con = p5.connect('push', {
+    onpush: function(serverPush) {
+      if (serverPush.__p5_change.sandbox_invoke_push.innerValue == 'first') {
+        if (!done || el.el.innerHTML != '') {
+          con.close();
+          tests.setError('invoke_push');
+        }
+        return;
+      }
+      con.close();
+      if (!done || !tests.pushIncluded || el.el.innerHTML != 'first') {
+        tests.setError('invoke_push');
+        return;
+      }
+      tests.setSuccess('invoke_push');
+    },
+
+    onerror: function(err) {
+      con.close();
+      tests.setError('invoke_push');
+    }
+  });
+  window.WebSocket = original;
+  socket.onopen();
+  el.el.innerHTML = '';
+  tests.pushIncluded = false;
+  el.raise('sandbox_invoke_slow_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      con.close();
+      tests.setError('invoke_push');
+    },
+
+    ondone: function(serverReturn, evt) {
+      done = true;
+    }
+  });
+  socket.onmessage({data: JSON.stringify({
+    __p5_change: {sandbox_invoke_push: {innerValue: 'first'}},
+    __p5_js_objects: [{Item1: 'data:text/javascript,tests.pushIncluded%3Dtrue%3B', Item2: true}]
+  })});
+  socket.onmessage({data: JSON.stringify({__p5_change: {sandbox_invoke_push: {innerValue: 'second'}}})});
+};
+
+
+/*
+ * connects to a fake EventSource, since WebSockets are not supported, asserting an update pushed while 
+ * no requests are being processed is applied immediately, and that closing the connection closes the EventSource
+ */
+tests.invoke_push_sse = function(event) {
+  var el = p5.$('sandbox_invoke_push');
+  var originalWebSocket = window.WebSocket;
+  var originalEventSource = window.EventSource;
+  var source = null;
+  window.WebSocket = undefined;
+  window.EventSource = function(url) {
+    source = this;
+    source.url = url;
+    source.close = function() {
+      source.closed = true;
+    };
+  };
+  var con = p5.connect('push');
+  window.WebSocket = originalWebSocket;
+  window.EventSource = originalEventSource;
+  source.onmessage({data: JSON.stringify({__p5_change: {sandbox_invoke_push: {innerValue: 'pushed'}}})});
+  con.close();
+  if (source.url != 'push' || el.el.innerHTML != 'pushed' || !source.closed) {
+    tests.setError('invoke_push_sse');
+    return;
+  }
+  tests.setSuccess('invoke_push_sse');
+};
+
+
+/*
+ * raises three requests with a debounce of 300ms, where the last is raised 200ms after the first two, 
+ * asserting only the last is raised, and only when 300ms have passed since it was raised
+ */
+tests.invoke_trigger_debounce = function(event) {
+  var fired = [];
+  var el = tests.triggerInput(fired);
+  var timers = tests.fakeTimers();
+  try {
+    el.raise('sandbox_invoke_trigger_debounce', {trigger: 'debounce:300ms', parameters: {value: 'a'}});
+    el.raise('sandbox_invoke_trigger_debounce', {trigger: 'debounce:300ms', parameters: {value: 'b'}});
+    timers.tick(200);
+    el.raise('sandbox_invoke_trigger_debounce', {trigger: 'debounce:300ms', parameters: {value: 'c'}});
+    timers.tick(299);
+    var before = fired.join(',');
+    timers.tick(1);
+  } finally {
+    timers.restore();
+  }
+  if (before != '' || fired.join(',') != 'c') {
+    tests.setError('invoke_trigger_debounce');
+    return;
+  }
+  tests.setSuccess('invoke_trigger_debounce');
+};
+
+
+/*
+ * raises three requests with a throttle of 300ms within 100ms, asserting the first is raised immediately, 
+ * the second is never raised, and the last is raised when 300ms have passed since the first was raised
+ */
+tests.invoke_trigger_throttle = function(event) {
+  var fired = [];
+  var el = tests.triggerInput(fired);
+  var timers = tests.fakeTimers();
+  try {
+    el.raise('sandbox_invoke_trigger_throttle', {trigger: 'throttle:300ms', parameters: {value: 'a'}});
+    timers.tick(50);
+    el.raise('sandbox_invoke_trigger_throttle', {trigger: 'throttle:300ms', parameters: {value: 'b'}});
+    timers.tick(50);
+    el.raise('sandbox_invoke_trigger_throttle', {trigger: 'throttle:300ms', parameters: {value: 'c'}});
+    var before = fired.join(',');
+    timers.tick(200);
+  } finally {
+    timers.restore();
+  }
+  if (before != 'a' || fired.join(',') != 'a,c') {
+    tests.setError('invoke_trigger_throttle');
+    return;
+  }
+  tests.setSuccess('invoke_trigger_throttle');
+};
+
+
+/*
+ * raises two requests only raised for the Enter key, with a key event for 'a' and 'Enter', asserting only the second is raised
+ */
+tests.invoke_trigger_key = function(event) {
+  var fired = [];
+  var el = tests.triggerInput(fired);
+  el.raise('sandbox_invoke_trigger_key', {trigger: 'key:Enter', event: new KeyboardEvent('keyup', {key: 'a'}), parameters: {value: 'a'}});
+  el.raise('sandbox_invoke_trigger_key', {trigger: 'key:Enter', event: new KeyboardEvent('keyup', {key: 'Enter'}), parameters: {value: 'enter'}});
+  if (fired.join(',') != 'enter') {
+    tests.setError('invoke_trigger_key');
+    return;
+  }
+  tests.setSuccess('invoke_trigger_key');
+};
+
+
+/*
+ * raises requests only raised if the value of the input changed, asserting requests are only raised when the value 
+ * is different from the value it had as the previous request was raised, or its initial value for the first request
+ */
+tests.invoke_trigger_changed = function(event) {
+  var fired = [];
+  var el = tests.triggerInput(fired);
+  var values = [el.el.defaultValue, 'x', 'x', 'y', el.el.defaultValue];
+  for (var idx = 0; idx < values.length; idx++) {
+    el.el.value = values[idx];
+    el.raise('sandbox_invoke_trigger_changed', {trigger: 'changed', parameters: {value: idx}});
+  }
+  el.el.value = el.el.defaultValue;
+  if (fired.join(',') != '1,3,4') {
+    tests.setError('invoke_trigger_changed');
+    return;
+  }
+  tests.setSuccess('invoke_trigger_changed');
+};
+
+
+/*
+ * raises three requests only raised once, asserting only the first is raised
+ */
+tests.invoke_trigger_once = function(event) {
+  var fired = [];
+  var el = tests.triggerInput(fired);
+  el.raise('sandbox_invoke_trigger_once', {trigger: 'once', parameters: {value: 'a'}});
+  el.raise('sandbox_invoke_trigger_once', {trigger: 'once', parameters: {value: 'b'}});
+  el.raise('sandbox_invoke_trigger_once', {trigger: 'once', parameters: {value: 'c'}});
+  if (fired.join(',') != 'a') {
+    tests.setError('invoke_trigger_once');
+    return;
+  }
+  tests.setSuccess('invoke_trigger_once');
+};
+
+
+/*
+ * raises two requests in two different lanes, asserting both are sent immediately
+ */
+tests.invoke_lanes_concurrent = function(event) {
+  var el = p5.$('sandbox_invoke_lanes');
+  var sent = [];
+  var left = 2;
+  var onerror = function(statusCode, statusText, responseHtml, evt) {
+    tests.setError('invoke_lanes_concurrent');
+  };
+  var ondone = function(serverReturn, evt) {
+    left -= 1;
+    if (left == 0) {
+      tests.setSuccess('invoke_lanes_concurrent');
+    }
+  };
+  var onbefore = function(pars, evt) {
+    sent.push(evt);
+  };
+  el.raise('sandbox_invoke_slow_onclick', {lane: 'first', onbefore: onbefore, onerror: onerror, ondone: ondone});
+  el.raise('sandbox_invoke_normal_onclick', {lane: 'second', onbefore: onbefore, onerror: onerror, ondone: ondone});
+  if (sent.length != 2) {
+    tests.setError('invoke_lanes_concurrent');
+  }
+};
+
+
+/*
+ * raises three requests in the same lane, asserting they are sent one at the time, in order
+ */
+tests.invoke_lanes_order = function(event) {
+  var el = p5.$('sandbox_invoke_lanes');
+  var order = [];
+  var onerror = function(statusCode, statusText, responseHtml, evt) {
+    tests.setError('invoke_lanes_order');
+  };
+  var raise = function(idx) {
+    el.raise(idx == 0 ? 'sandbox_invoke_slow_onclick' : 'sandbox_invoke_normal_onclick', {
+      lane: 'order',
+      onerror: onerror,
+
+      onbefore: function(pars, evt) {
+        order.push('send' + idx);
+      },
+
+      ondone: function(serverReturn, evt) {
+        order.push('done' + idx);
+        if (idx == 2) {
+          if (order.join(',') != 'send0,done0,send1,done1,send2,done2') {
+            tests.setError('invoke_lanes_order');
+            return;
+          }
+          tests.setSuccess('invoke_lanes_order');
+        }
+      }
+    });
+  };
+  for (var idx = 0; idx < 3; idx++) {
+    raise(idx);
+  }
+};
+
+
+/*
+ * raises two requests in two different lanes, followed by an exclusive request, and a request in a third lane, 
+ * asserting the first two are sent immediately, the exclusive request after the first two are done, 
+ * and the last after the exclusive request is done
+ */
+tests.invoke_lanes_exclusive = function(event) {
+  var el = p5.$('sandbox_invoke_lanes');
+  var order = [];
+  var onerror = function(statusCode, statusText, responseHtml, evt) {
+    tests.setError('invoke_lanes_exclusive');
+  };
+  var raise = function(name, evt, opt) {
+    el.raise(evt, p5.extend({
+      onerror: onerror,
+
+      onbefore: function(pars, evt) {
+        order.push('send ' + name);
+      },
+
+      ondone: function(serverReturn, evt) {
+        order.push('done ' + name);
+        if (name == 'last') {
+          var exclusive = order.indexOf('send exclusive');
+          if (order.indexOf('send fast') != 1 || order.indexOf('done slow') > exclusive || order.indexOf('done fast') > exclusive || 
+            order.indexOf('done exclusive') > order.indexOf('send last')) {
+            tests.setError('invoke_lanes_exclusive');
+            return;
+          }
+          tests.setSuccess('invoke_lanes_exclusive');
+        }
+      }
+    }, opt));
+  };
+  raise('slow', 'sandbox_invoke_slow_onclick', {lane: 'slow'});
+  raise('fast', 'sandbox_invoke_normal_onclick', {lane: 'fast'});
+  raise('exclusive', 'sandbox_invoke_normal_onclick', {exclusive: true});
+  raise('last', 'sandbox_invoke_normal_onclick', {lane: 'last'});
+};
+
+
+/*
+ * raises a failing request and another request in the same lane, and a request in another lane, asserting 
+ * only the request in the same lane as the failing request is skipped
+ */
+tests.invoke_lanes_failure = function(event) {
+  var el = p5.$('sandbox_invoke_lanes');
+  var sent = [];
+  var failed = false;
+  var onbefore = function(pars, evt) {
+    sent.push(evt);
+  };
+  el.raise('sandbox_invoke_exception_onclick', {
+    lane: 'failing',
+    onbefore: onbefore,
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      failed = true;
+    }
+  });
+  el.raise('sandbox_invoke_normal_onclick', {
+    lane: 'failing',
+    onbefore: onbefore,
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_lanes_failure');
+    },
+
+    ondone: function(serverReturn, evt) {
+      tests.setError('invoke_lanes_failure');
+    }
+  });
+  el.raise('sandbox_invoke_slow_onclick', {
+    lane: 'other',
+    onbefore: onbefore,
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      tests.setError('invoke_lanes_failure');
+    },
+
+    ondone: function(serverReturn, evt) {
+      if (!failed || sent.join(',') != 'sandbox_invoke_exception_onclick,sandbox_invoke_slow_onclick') {
+        tests.setError('invoke_lanes_failure');
+        return;
+      }
+      tests.setSuccess('invoke_lanes_failure');
+    }
+  });
+};
+
+
+/*
+ * raises a failing request, whose 'onerror' aborts all requests, before raising another request, asserting its 'onerror' 
+ * is only invoked once, that a request in another lane is aborted, and that the request raised afterwards is sent
+ */
+tests.invoke_lanes_abort_all = function(event) {
+  var el = p5.$('sandbox_invoke_lanes');
+  var errors = [];
+  el.raise('sandbox_invoke_exception_onclick', {
+    lane: 'failing',
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      errors.push(statusCode);
+      p5.abortAll();
+      el.raise('sandbox_invoke_normal_onclick', {
+        lane: 'failing',
+
+        onerror: function(statusCode, statusText, responseHtml, evt) {
+          tests.setError('invoke_lanes_abort_all');
+        },
+
+        ondone: function(serverReturn, evt) {
+          if (errors.join(',') != '500,' + p5.status.abortAll) {
+            tests.setError('invoke_lanes_abort_all');
+            return;
+          }
+          tests.setSuccess('invoke_lanes_abort_all');
+        }
+      });
+    }
+  });
+  el.raise('sandbox_invoke_slow_onclick', {
+    lane: 'other',
+
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      errors.push(statusCode);
+      return true;
+    }
+  });
+};
+
+
+/*
+ * clicks a span inside a child of a container handling its clicks with p5.e, with ctrl and shift pressed, asserting the
+ * server sees the details whitelisted by the container, but not shiftKey, and the id of the child the click originated from
+ */
+tests.invoke_details = function(event) {
+  var el = p5.$('sandbox_invoke_details');
+  var span = p5.$('sandbox_invoke_details_child').el.getElementsByTagName('span')[0];
+  var applied = function(req) {
+    if (req.el.el != el.el) {
+      return;
+    }
+    p5.off('applied', applied);
+    var result = p5.$('sandbox_invoke_details_result').el.innerHTML;
+    if (req.evt != 'onclick' || result != 'clientX=12|clientY=34|ctrlKey=True|target=sandbox_invoke_details_child') {
+      tests.setError('invoke_details');
+      return;
+    }
+    tests.setSuccess('invoke_details');
+  };
+  p5.on('applied', applied);
+  span.dispatchEvent(new MouseEvent('click', {
+    bubbles: true,
+    cancelable: true,
+    ctrlKey: true,
+    shiftKey: true,
+    clientX: 12,
+    clientY: 34
+  }));
+};
+
+
+/*
+ * removes a widget with a transition, asserting it is given the p5-leave class and leave hooks are invoked, and that it is 
+ * only removed, and the next request in chain is only sent, after its transition ends
+ */
+tests.invoke_transition_leave = function(event) {
+  var el = p5.$('sandbox_invoke_transition_leave');
+  var child = p5.$('sandbox_invoke_transition_leave_child').el;
+  var left = null;
+  var sent = false;
+  var removedFirst = false;
+  var leave = function(e) {
+    left = e.el.el;
+  };
+  var request = function(req) {
+    sent = true;
+    removedFirst = !child.parentNode;
+  };
+  var onerror = function(statusCode, statusText, responseHtml, evt) {
+    p5.off('leave', leave);
+    p5.off('request', request);
+    tests.setError('invoke_transition_leave');
+  };
+  p5.on('leave', leave);
+  el.raise('sandbox_invoke_transition_leave_onclick', {
+    onerror: onerror,
+
+    ondone: function(serverReturn, evt) {
+      p5.off('leave', leave);
+      if (left !== child || !child.parentNode || !child.classList.contains('p5-leave') || p5._leaving !== 1) {
+        tests.setError('invoke_transition_leave');
+        return;
+      }
+      p5.on('request', request);
+      p5.$('sandbox_invoke_normal').raise('sandbox_invoke_normal_onclick', {
+        onerror: onerror,
+
+        ondone: function(serverReturn, evt) {
+          p5.off('request', request);
+          if (!removedFirst || child.parentNode || p5._leaving !== 0) {
+            tests.setError('invoke_transition_leave');
+            return;
+          }
+          tests.setSuccess('invoke_transition_leave');
+        }
+      });
+
+      // Sandbox is hidden, hence the transition never runs, and we end it ourselves, after making sure the request is waiting.
+      tests.setTimeout(function() {
+        if (sent) {
+          tests.setError('invoke_transition_leave');
+          return;
+        }
+        child.dispatchEvent(new Event('transitionend'));
+      }, 200);
+    }
+  });
+};
+
+
+/*
+ * inserts a widget with a transition, asserting it is given the p5-entering class and enter hooks are invoked, and that
+ * the class is removed after its transition ends
+ */
+tests.invoke_transition_enter = function(event) {
+  var el = p5.$('sandbox_invoke_transition_enter');
+  var entered = null;
+  var enter = function(e) {
+    entered = e.el.el;
+  };
+  p5.on('enter', enter);
+  el.raise('sandbox_invoke_transition_enter_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      p5.off('enter', enter);
+      tests.setError('invoke_transition_enter');
+    },
+
+    ondone: function(serverReturn, evt) {
+      p5.off('enter', enter);
+      var added = p5.$('sandbox_invoke_transition_enter_added').el;
+      if (!added || entered !== added || added.classList.contains('p5-enter') || !added.classList.contains('p5-entering')) {
+        tests.setError('invoke_transition_enter');
+        return;
+      }
+      added.dispatchEvent(new Event('transitionend'));
+      if (added.hasAttribute('class')) {
+        tests.setError('invoke_transition_enter');
+        return;
+      }
+      tests.setSuccess('invoke_transition_enter');
+    }
+  });
+};
+
+
+/*
+ * raises an exception on the server without an onerror callback, having replaced the error renderer, asserting the custom 
+ * renderer is given the error, and no default error dialog is shown
+ */
+tests.invoke_dialog_renderer = function(event) {
+  var el = p5.$('sandbox_invoke_exception');
+  var rendered = null;
+  var onerror = function(req) {
+    if (req.el.el !== el.el) {
+      return;
+    }
+    p5.off('error', onerror);
+
+    // Renderer is invoked after 'error' hooks.
+    tests.setTimeout(function() {
+      p5.setErrorRenderer(null);
+      if (!rendered || rendered.statusCode != 500 || rendered.el.el !== el.el || !rendered.html ||
+        rendered.html !== req.responseHtml || p5._dialogs.length != 0) {
+        tests.setError('invoke_dialog_renderer');
+        return;
+      }
+      tests.setSuccess('invoke_dialog_renderer');
+    }, 0);
+  };
+  p5.setErrorRenderer(function(err) {
+    rendered = err;
+  });
+  p5.on('error', onerror);
+  el.raise('sandbox_invoke_exception_onclick');
+};
+
+
+/*
+ * raises two exceptions on the server without onerror callbacks, asserting two modal dialogs are stacked on top of each 
+ * other without duplicate ids, showing the HTML from the server only inside of a sandboxed iframe, and that Escape closes 
+ * the topmost dialog
+ */
+tests.invoke_dialog_default = function(event) {
+  var el = p5.$('sandbox_invoke_exception');
+  var count = 0;
+  var html = null;
+  var text = function(str) {
+    return str.replace(/\s+/g, ' ').trim();
+  };
+  var escape = function() {
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', {key: 'Escape', bubbles: true, cancelable: true}));
+  };
+  var verify = function() {
+    var dlgs = p5._dialogs.slice();
+    var ids = {};
+    var ok = dlgs.length == 2;
+    for (var idx = 0; ok && idx < dlgs.length; idx++) {
+      var dlg = dlgs[idx];
+      var title = document.getElementById(dlg.getAttribute('aria-labelledby'));
+      var frame = dlg.getElementsByTagName('iframe')[0];
+      ok = dlg.getAttribute('role') == 'dialog' && dlg.getAttribute('aria-modal') == 'true' && !!title && dlg.contains(title) &&
+        !!frame && frame.getAttribute('sandbox') === '' && frame.srcdoc === html && dlg.getElementsByTagName('script').length == 0 &&
+        text(dlg.textContent).indexOf(text(new DOMParser().parseFromString(html, 'text/html').body.textContent)) == -1;
+      var els = [dlg].concat(Array.prototype.slice.call(dlg.querySelectorAll('[id]')));
+      for (var idxEl = 0; idxEl < els.length; idxEl++) {
+        ok = ok && !ids[els[idxEl].id] && document.getElementById(els[idxEl].id) === els[idxEl];
+        ids[els[idxEl].id] = true;
+      }
+    }
+    if (ok) {
+      escape();
+      ok = p5._dialogs.length == 1 && p5._dialogs[0] === dlgs[0] && !document.body.contains(dlgs[1]);
+      escape();
+      ok = ok && p5._dialogs.length == 0 && !document.body.contains(dlgs[0]);
+    }
+    while (p5._dialogs.length > 0) {
+      p5._closeDialog(p5._dialogs[0]);
+    }
+    if (!ok) {
+      tests.setError('invoke_dialog_default');
+      return;
+    }
+    tests.setSuccess('invoke_dialog_default');
+  };
+
+  // Raising the second request after the first has failed, since a failing request without an onerror callback stops the chain.
+  var onerror = function(req) {
+    if (req.el.el !== el.el) {
+      return;
+    }
+    count += 1;
+    html = req.responseHtml;
+    if (count == 1) {
+      tests.setTimeout(function() {
+        el.raise('sandbox_invoke_exception_onclick');
+      }, 0);
+    } else {
+      p5.off('error', onerror);
+      tests.setTimeout(verify, 0);
+    }
+  };
+  p5.on('error', onerror);
+  el.raise('sandbox_invoke_exception_onclick');
+};
+
+
+/*
+ * fakes a session timeout, asserting the form data is saved in sessionStorage keyed by the URL of the page and the names of 
+ * the fields, except the password, and that the form data is put back into the form as it is restored
+ */
+tests.invoke_save_restore = function(event) {
+  var el = p5.$('sandbox_invoke_save');
+  var text = p5.$('sandbox_invoke_save_text').el;
+  var check = p5.$('sandbox_invoke_save_check').el;
+  var password = p5.$('sandbox_invoke_save_password').el;
+  text.value = 'saved';
+  check.checked = true;
+  password.value = 'secret';
+  var restore = tests.fakeXhr(457, 'Session timeout');
+  el.raise('sandbox_invoke_normal_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      restore();
+      var key = 'p5.restore:' + location.pathname + location.search;
+      var saved = JSON.parse(sessionStorage.getItem(key) || 'null');
+      if (statusCode != 457 || !saved || saved.id != 'sandbox_invoke_save' || saved.evt != 'sandbox_invoke_normal_onclick' ||
+        JSON.stringify(saved.fields.sandbox_invoke_save_text) != JSON.stringify(['saved']) ||
+        JSON.stringify(saved.fields.sandbox_invoke_save_check) != JSON.stringify(['sandbox_invoke_save_check']) ||
+        saved.fields.hasOwnProperty('sandbox_invoke_save_password')) {
+        sessionStorage.removeItem(key);
+        tests.setError('invoke_save_restore');
+        return true;
+      }
+
+      // Restoring as if page was loaded again, and user chose to restore form data.
+      text.value = '';
+      check.checked = false;
+      password.value = '';
+      var onrestore = p5.onrestore;
+      p5.onrestore = function(fn) {
+        fn();
+      };
+      p5._offerRestore();
+      p5.onrestore = onrestore;
+      if (text.value != 'saved' || !check.checked || password.value != '' || sessionStorage.getItem(key) !== null) {
+        tests.setError('invoke_save_restore');
+        return true;
+      }
+      tests.setSuccess('invoke_save_restore');
+      return true;
+    },
+
+    ondone: function(serverReturn, evt) {
+      restore();
+      tests.setError('invoke_save_restore');
+    }
+  });
+};
+
+
+/*
+ * starts a heartbeat, asserting its ping is sent directly, without entering the chain, or invoking request hooks, and 
+ * that the server returns the timeout of the session
+ */
+tests.invoke_heartbeat_ping = function(event) {
+  var send = XMLHttpRequest.prototype.send;
+  var chain = p5._chain.length;
+  var ping = null;
+  var requested = false;
+  var request = function(req) {
+    requested = true;
+  };
+  XMLHttpRequest.prototype.send = function(body) {
+    if (typeof body == 'string' && body.indexOf('_p5_heartbeat=1') == 0) {
+      ping = this;
+    }
+    return send.apply(this, arguments);
+  };
+  p5.on('request', request);
+  var heartbeat = p5.heartbeat({interval: 60000, warn: 60000});
+  XMLHttpRequest.prototype.send = send;
+  p5.off('request', request);
+  if (!ping || requested || p5._chain.length != chain) {
+    heartbeat.stop();
+    tests.setError('invoke_heartbeat_ping');
+    return;
+  }
+  ping.addEventListener('loadend', function() {
+    heartbeat.stop();
+    var timeout = 0;
+    try {
+      timeout = JSON.parse(ping.responseText).timeout;
+    } catch (err) {
+      // not a heartbeat response
+    }
+    if (ping.status != 200 || !(timeout > 0)) {
+      tests.setError('invoke_heartbeat_ping');
+      return;
+    }
+    tests.setSuccess('invoke_heartbeat_ping');
+  });
+};
+
+
+/*
+ * starts a heartbeat with a fake session timeout of two minutes, and lets time pass without user activity, asserting a 
+ * countdown warning is shown one minute before the session expires, and that it counts down
+ */
+tests.invoke_heartbeat_warning = function(event) {
+  var timers = tests.fakeTimers();
+  var restore = tests.fakeXhr(200, '{"timeout":120}');
+  var heartbeat = p5.heartbeat({interval: 60000, warn: 60000});
+
+  // Waiting for the fake ping to return the timeout of the session.
+  tests.setTimeout(function() {
+    restore();
+    timers.tick(59000);
+    var before = p5._dialogs.length;
+    timers.tick(1000);
+    var dlg = p5._dialogs[p5._dialogs.length - 1];
+    var ok = before == 0 && !!dlg && dlg.querySelector('h1').textContent == p5.text.expiringTitle &&
+      dlg.querySelector('p').textContent == p5.text.expiringMessage.replace('{0}', '60');
+    timers.tick(1000);
+    ok = ok && dlg.querySelector('p').textContent == p5.text.expiringMessage.replace('{0}', '59');
+    heartbeat.stop();
+    timers.restore();
+    if (!ok || p5._dialogs.indexOf(dlg) != -1) {
+      tests.setError('invoke_heartbeat_warning');
+      return;
+    }
+    tests.setSuccess('invoke_heartbeat_warning');
+  }, 100);
+};
+
+
+/*
+ * starts a heartbeat with a fake session timeout of two minutes, and lets the session expire without user activity, 
+ * asserting the session timeout is reported as a 457, offering the user to reload the page
+ */
+tests.invoke_heartbeat_expire = function(event) {
+  var timers = tests.fakeTimers();
+  var restore = tests.fakeXhr(200, '{"timeout":120}');
+  var rendered = null;
+  p5.setErrorRenderer(function(err) {
+    rendered = err;
+  });
+  var heartbeat = p5.heartbeat({interval: 60000, warn: 60000});
+
+  // Waiting for the fake ping to return the timeout of the session.
+  tests.setTimeout(function() {
+    restore();
+    timers.tick(120000);
+    heartbeat.stop();
+    timers.restore();
+    p5.setErrorRenderer(null);
+    sessionStorage.removeItem('p5.restore:' + location.pathname + location.search);
+    if (!rendered || rendered.statusCode != 457 || !rendered.reload || p5._dialogs.length != 0) {
+      tests.setError('invoke_heartbeat_expire');
+      return;
+    }
+    tests.setSuccess('invoke_heartbeat_expire');
+  }, 100);
+};
+
+
+/*
+ * loads pages in an iframe, asserting p5-debug in the URL opens the developer panel for a page allowing it, but not for 
+ * a page not allowing it, and that the panel is not opened without p5-debug in the URL
+ */
+tests.invoke_debug_query = function(event) {
+  var urls = ['DebugUnitTests.aspx?p5-debug', 'DebugUnitTests.aspx', 'UnitTests.aspx?p5-debug'];
+  var expected = [true, false, false];
+  var idx = 0;
+  var frame = document.createElement('iframe');
+  frame.style.display = 'none';
+  frame.addEventListener('load', function() {
+    var open = !!frame.contentDocument.getElementById('__p5_debug');
+    if (open !== expected[idx]) {
+      document.body.removeChild(frame);
+      tests.setError('invoke_debug_query');
+      return;
+    }
+    idx += 1;
+    if (idx == urls.length) {
+      document.body.removeChild(frame);
+      tests.setSuccess('invoke_debug_query');
+      return;
+    }
+    frame.src = urls[idx];
+  });
+  frame.src = urls[idx];
+  document.body.appendChild(frame);
+};
+
+
+/*
+ * raises a request with the developer panel open, asserting the panel shows the parameters posted, with the value of 
+ * the password field masked
+ */
+tests.invoke_debug_password = function(event) {
+  var el = p5.$('sandbox_invoke_debug');
+  var open = !!p5._debug;
+  var panel = p5.debug();
+  p5.$('sandbox_invoke_debug_text').el.value = 'visible';
+  p5.$('sandbox_invoke_debug_password').el.value = 'secret';
+  el.raise('sandbox_invoke_debug_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      if (!open) {
+        panel.close();
+      }
+      tests.setError('invoke_debug_password');
+    },
+
+    ondone: function(serverReturn, evt) {
+      var txt = document.getElementById('__p5_debug').textContent;
+      if (!open) {
+        panel.close();
+      }
+      if (txt.indexOf('sandbox_invoke_debug_text=visible') == -1 || txt.indexOf('sandbox_invoke_debug_password=********') == -1 ||
+        txt.indexOf('secret') != -1) {
+        tests.setError('invoke_debug_password');
+        return;
+      }
+      tests.setSuccess('invoke_debug_password');
+    }
+  });
+};
+
+
+/*
+ * raises a request with the developer panel open, and clicks the id of the widget raising it in the panel, asserting 
+ * its element is highlighted
+ */
+tests.invoke_debug_highlight = function(event) {
+  var el = p5.$('sandbox_invoke_debug');
+  var open = !!p5._debug;
+  var panel = p5.debug();
+  el.raise('sandbox_invoke_debug_onclick', {
+    onerror: function(statusCode, statusText, responseHtml, evt) {
+      if (!open) {
+        panel.close();
+      }
+      tests.setError('invoke_debug_highlight');
+    },
+
+    ondone: function(serverReturn, evt) {
+      var btns = document.getElementById('__p5_debug').getElementsByTagName('button');
+      var btn = null;
+      for (var idx = 0; idx < btns.length; idx++) {
+        if (btns[idx].textContent == 'sandbox_invoke_debug') {
+          btn = btns[idx];
+        }
+      }
+      if (btn) {
+        btn.click();
+      }
+      if (!open) {
+        panel.close();
+      }
+      var outline = el.el.style.outline;
+      if (!btn || outline.indexOf('solid') == -1 || outline.indexOf('3px') == -1) {
+        tests.setError('invoke_debug_highlight');
+        return;
+      }
+      tests.setSuccess('invoke_debug_highlight');
+    }
+  });
+};